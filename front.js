@@ -9,9 +9,27 @@ const multer = require("multer");
 const bodyParser = require("body-parser");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const os = require("os");
+const { execFile, spawn } = require("child_process");
+const { promisify } = require("util");
+
+const execFileAsync = promisify(execFile);
 
 const app = express();
 
+// Farmers' days are Indian days: "today", due dates and sowing dates all follow
+// IST whatever zone the host is set to
+process.env.TZ = 'Asia/Kolkata';
+
+// YYYY-MM-DD of the day `date` falls on. Every calendar date the app stores or
+// compares goes through this; toISOString() gives the UTC day, which until
+// 05:30 IST is still yesterday.
+function formatDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 // Ensure required directories exist
 const dirs = ["uploads/", "audio/", "data/"];
 dirs.forEach(dir => {
@@ -34,74 +52,704 @@ const upload = multer({
   }
 });
 
-app.use(bodyParser.json({ limit: '50mb' }));
+// Webhook signatures are computed over the exact bytes received
+app.use(bodyParser.json({ limit: '50mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
-// In-memory data stores (replace with database in production)
-let farmers = new Map(); // farmer profiles and history
-let escalations = [];
-let queries = []; // for learning loop
-let knowledgeBase = new Map(); // cached knowledge
-let feedback = []; // user feedback for learning
+// Synthesised speech is cached in audio/ and served from here
+app.use("/audio", express.static("audio/", { maxAge: '7d' }));
 
-/* ---------------------- KNOWLEDGE BASE ---------------------- */
-const cropDatabase = {
-  "banana": {
-    commonDiseases: ["leaf spot", "panama disease", "black sigatoka"],
-    pests: ["aphids", "nematodes", "thrips"],
-    seasons: { plant: "June-July", harvest: "April-May" },
-    pesticides: {
-      "leaf spot": "Copper oxychloride 0.3% or Mancozeb 0.2%",
-      "black sigatoka": "Propiconazole 0.1%"
+/* ---------------------- STORAGE ---------------------- */
+
+// Storage adapters persist whole collections of records. The file adapter is the
+// default and keeps one JSON file per collection in data/; the memory adapter
+// keeps everything in the process and is meant for tests.
+const storageAdapters = {
+  memory: () => createMemoryAdapter(),
+  file: () => createFileAdapter(process.env.DATA_DIR || "data/")
+};
+
+const storageCollections = [
+  'farmers', 'queries', 'escalations', 'feedback', 'sessions',
+  'otps', 'authTokens', 'smsOutbox', 'staff', 'auditLog',
+  'notifications', 'notificationOutbox', 'outbreaks', 'learningRuns', 'complianceLog',
+  'soilTests', 'prices', 'plots', 'activities', 'channelMessages', 'calls'
+];
+
+// Schema migrations, applied in order on startup. Append new entries; never edit
+// one that has already shipped.
+const migrations = [
+  {
+    version: 1,
+    description: "Create farmers, queries, escalations and feedback collections",
+    up: adapter => {
+      ['farmers', 'queries', 'escalations', 'feedback'].forEach(collection => {
+        adapter.write(collection, adapter.read(collection));
+      });
+    }
+  },
+  {
+    version: 2,
+    description: "Add status, assignment and history to escalations",
+    up: adapter => {
+      adapter.write('escalations', adapter.read('escalations').map(esc => ({
+        status: 'open',
+        queryId: null,
+        assignedTo: null,
+        expertAnswer: null,
+        closedAt: null,
+        history: [{ status: 'open', by: 'system', at: esc.createdAt }],
+        ...esc
+      })));
+    }
+  },
+  {
+    version: 3,
+    description: "Create sessions collection for multi-turn conversations",
+    up: adapter => adapter.write('sessions', adapter.read('sessions'))
+  },
+  {
+    version: 4,
+    description: "Add authentication collections and store farmer crops with sowing dates",
+    up: adapter => {
+      ['otps', 'authTokens', 'smsOutbox'].forEach(collection => {
+        adapter.write(collection, adapter.read(collection));
+      });
+      adapter.write('farmers', adapter.read('farmers').map(farmer => ({
+        phone: null,
+        name: null,
+        state: null,
+        district: null,
+        panchayat: null,
+        landholding: null,
+        preferredLanguage: null,
+        ...farmer,
+        crops: (farmer.crops || []).map(crop => typeof crop === 'string'
+          ? { id: crypto.randomUUID(), crop, variety: null, area: null, sowingDate: null, source: 'query' }
+          : crop)
+      })));
+    }
+  },
+  {
+    version: 5,
+    description: "Add staff accounts and audit log, and tag escalations with the farmer's district",
+    up: adapter => {
+      ['staff', 'auditLog'].forEach(collection => {
+        adapter.write(collection, adapter.read(collection));
+      });
+      const farmers = adapter.read('farmers');
+      adapter.write('escalations', adapter.read('escalations').map(esc => {
+        const farmer = farmers.find(f => f.id === esc.farmerId) || {};
+        return { district: farmer.district || null, panchayat: farmer.panchayat || null, ...esc };
+      }));
+    }
+  },
+  {
+    version: 6,
+    description: "Add notifications and let farmers opt out of proactive advisories",
+    up: adapter => {
+      ['notifications', 'notificationOutbox'].forEach(collection => {
+        adapter.write(collection, adapter.read(collection));
+      });
+      adapter.write('farmers', adapter.read('farmers').map(farmer => ({
+        notificationPreferences: { enabled: true, mutedTypes: [] },
+        ...farmer
+      })));
+    }
+  },
+  {
+    version: 7,
+    description: "Add outbreaks collection",
+    up: adapter => {
+      adapter.write('outbreaks', adapter.read('outbreaks'));
+    }
+  },
+  {
+    version: 8,
+    description: "Add social category and annual income to farmer profiles for scheme eligibility",
+    up: adapter => {
+      adapter.write('farmers', adapter.read('farmers').map(farmer => ({
+        category: null,
+        annualIncome: null,
+        ...farmer
+      })));
+    }
+  },
+  {
+    version: 9,
+    description: "Add learning runs, and relink feedback saved under string query ids",
+    up: adapter => {
+      adapter.write('learningRuns', adapter.read('learningRuns'));
+      const queries = adapter.read('queries');
+      const feedback = adapter.read('feedback').map(entry => {
+        const query = queries.find(q => String(q.id) === String(entry.queryId));
+        return query ? { ...entry, queryId: query.id } : entry;
+      });
+      adapter.write('feedback', feedback);
+      adapter.write('queries', queries.map(q => ({
+        ...q,
+        feedback: q.feedback || feedback.filter(entry => entry.queryId === q.id).pop() || null
+      })));
+    }
+  },
+  {
+    version: 10,
+    description: "Add compliance log and record whether each farmer farms organically",
+    up: adapter => {
+      adapter.write('complianceLog', adapter.read('complianceLog'));
+      adapter.write('farmers', adapter.read('farmers').map(farmer => ({ farmingPractice: 'conventional', ...farmer })));
     }
   },
-  "rice": {
-    commonDiseases: ["blast", "brown spot", "sheath blight"],
-    pests: ["stem borer", "brown planthopper", "leaf folder"],
-    seasons: { plant: "May-June, Nov-Dec", harvest: "Sep-Oct, Mar-Apr" },
-    pesticides: {
-      "blast": "Tricyclazole 0.06% or Carbendazim 0.1%",
-      "brown spot": "Mancozeb 0.2%"
+  {
+    version: 11,
+    description: "Create soil tests collection",
+    up: adapter => {
+      adapter.write('soilTests', adapter.read('soilTests'));
     }
   },
-  "tomato": {
-    commonDiseases: ["late blight", "early blight", "bacterial wilt"],
-    pests: ["whitefly", "fruit borer", "aphids"],
-    seasons: { plant: "Oct-Nov, Jan-Feb", harvest: "Dec-Jan, Apr-May" },
-    pesticides: {
-      "late blight": "Metalaxyl + Mancozeb 0.2%",
-      "early blight": "Chlorothalonil 0.2%"
+  {
+    version: 12,
+    description: "Create market prices collection",
+    up: adapter => {
+      adapter.write('prices', adapter.read('prices'));
+    }
+  },
+  {
+    version: 13,
+    description: "Add plots and the farm diary, and turn each crop added to a profile into a plot",
+    up: adapter => {
+      const now = new Date().toISOString();
+      const plots = adapter.read('plots');
+      const farmers = adapter.read('farmers').map(farmer => {
+        const crops = (farmer.crops || []).map(planting => {
+          if (planting.source !== 'profile' || plots.some(p => p.id === planting.id)) return planting;
+          const unit = farmer.landholding?.unit || 'acre';
+          plots.push({
+            id: planting.id,
+            farmerId: farmer.id,
+            name: `${planting.crop} plot`,
+            area: planting.area,
+            unit,
+            crop: planting.crop,
+            variety: planting.variety,
+            sowingDate: planting.sowingDate,
+            createdAt: now,
+            updatedAt: now
+          });
+          return { ...planting, unit, source: 'plot' };
+        });
+        return { ...farmer, crops };
+      });
+      adapter.write('plots', plots);
+      adapter.write('activities', adapter.read('activities'));
+      adapter.write('farmers', farmers);
+    }
+  },
+  {
+    version: 14,
+    description: "Create channel messages collection for WhatsApp and SMS conversations",
+    up: adapter => {
+      adapter.write('channelMessages', adapter.read('channelMessages'));
+    }
+  },
+  {
+    version: 15,
+    description: "Create calls collection for the voice hotline",
+    up: adapter => {
+      adapter.write('calls', adapter.read('calls'));
     }
   }
-};
+];
+
+function createMemoryAdapter() {
+  const collections = new Map();
+  return {
+    name: 'memory',
+    read(collection) {
+      return JSON.parse(JSON.stringify(collections.get(collection) || []));
+    },
+    write(collection, records) {
+      collections.set(collection, JSON.parse(JSON.stringify(records)));
+    }
+  };
+}
+
+function createFileAdapter(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const fileFor = collection => path.join(dir, `${collection}.json`);
+  
+  return {
+    name: 'file',
+    read(collection) {
+      const file = fileFor(collection);
+      if (!fs.existsSync(file)) return [];
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+    write(collection, records) {
+      // Write to a temp file first so a crash never leaves half a collection
+      const file = fileFor(collection);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(records, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  };
+}
+
+function createRepository(adapter, collection) {
+  let records = adapter.read(collection);
+  const persist = () => adapter.write(collection, records);
+  
+  return {
+    all: () => records.slice(),
+    get: id => records.find(r => r.id === id) || null,
+    find: predicate => records.filter(predicate),
+    count: () => records.length,
+    insert(record) {
+      records.push(record);
+      persist();
+      return record;
+    },
+    update(id, changes) {
+      const record = records.find(r => r.id === id);
+      if (!record) return null;
+      Object.assign(record, changes);
+      persist();
+      return record;
+    },
+    remove(id) {
+      const before = records.length;
+      records = records.filter(r => r.id !== id);
+      if (records.length !== before) persist();
+      return records.length !== before;
+    }
+  };
+}
+
+function runMigrations(adapter) {
+  const meta = adapter.read('_meta');
+  const versionEntry = meta.find(m => m.key === 'schemaVersion');
+  let currentVersion = versionEntry ? versionEntry.value : 0;
+  
+  migrations
+    .filter(m => m.version > currentVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(migration => {
+      console.log(`Applying storage migration ${migration.version}: ${migration.description}`);
+      migration.up(adapter);
+      currentVersion = migration.version;
+      adapter.write('_meta', [
+        ...meta.filter(m => m.key !== 'schemaVersion'),
+        { key: 'schemaVersion', value: currentVersion, appliedAt: new Date().toISOString() }
+      ]);
+    });
+  
+  return currentVersion;
+}
+
+function createStorage(adapterName = process.env.STORAGE_ADAPTER || 'file') {
+  const createAdapter = storageAdapters[adapterName];
+  if (!createAdapter) {
+    throw new Error(`Unknown storage adapter: ${adapterName}`);
+  }
+  
+  const adapter = createAdapter();
+  const schemaVersion = runMigrations(adapter);
+  
+  const store = { adapter, schemaVersion };
+  storageCollections.forEach(collection => {
+    store[collection] = createRepository(adapter, collection);
+  });
+  return store;
+}
+
+const storage = createStorage();
+let knowledgeBase = new Map(); // cached knowledge
+
+/* ---------------------- KNOWLEDGE BASE ---------------------- */
+
+// Crop knowledge lives in one versioned JSON file per crop under knowledge/crops/.
+// Files are reloaded when they change on disk and the admin API writes through
+// to them, so edits take effect without a code change or restart.
+const knowledgeDir = process.env.KNOWLEDGE_DIR || path.join(__dirname, "knowledge");
+const cropKnowledgeDir = path.join(knowledgeDir, "crops");
+const cropHistoryDir = path.join(cropKnowledgeDir, "history");
+let cropDatabase = {};
+
+const calendarActivityTypes = ['sowing', 'fertilising', 'irrigation', 'spraying', 'harvest'];
+
+// The other knowledge files (the glossary and the like) are single JSON files
+// directly in knowledge/, loaded with loadKnowledgeFile. One watcher reloads
+// each by name when it changes; an edit that doesn't parse or validate is
+// logged and the last good copy stays in use.
+const knowledgeReloaders = new Map();
+
+// Returns the parsed file, or null if it is missing, malformed or fails
+// validate (which returns a list of errors)
+function loadKnowledgeFile(name, validate = () => []) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(knowledgeDir, name), 'utf8'));
+    const errors = validate(data);
+    if (errors.length) {
+      throw new Error(errors.join('; '));
+    }
+    return data;
+  } catch (error) {
+    console.error(`Could not load knowledge/${name}:`, error.message);
+    return null;
+  }
+}
+
+// A validator for loadKnowledgeFile requiring top-level fields to be a list or a map
+function knowledgeShape(shape) {
+  const isKind = (value, kind) => kind === 'list'
+    ? Array.isArray(value)
+    : !!value && typeof value === 'object' && !Array.isArray(value);
+  return data => Object.entries(shape)
+    .filter(([field, kind]) => !isKind(data?.[field], kind))
+    .map(([field, kind]) => `${field} must be a ${kind}`);
+}
+
+function reloadOnChange(name, reload) {
+  knowledgeReloaders.set(name, reload);
+}
+
+function watchKnowledgeFiles() {
+  const timers = new Map();
+  try {
+    fs.watch(knowledgeDir, { persistent: false }, (eventType, file) => {
+      const reload = knowledgeReloaders.get(file);
+      if (!reload) return;
+      // Editors save in several steps; reload once they are done
+      clearTimeout(timers.get(file));
+      timers.set(file, setTimeout(reload, 200));
+    });
+  } catch (error) {
+    console.error("Could not watch knowledge files:", error.message);
+  }
+}
+
+watchKnowledgeFiles();
+
+function validateCropEntry(entry) {
+  const errors = [];
+  const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim());
+  
+  if (!entry || typeof entry !== 'object') {
+    return ['Entry must be a JSON object'];
+  }
+  if (typeof entry.crop !== 'string' || !/^[a-z][a-z -]*$/.test(entry.crop)) {
+    errors.push('crop must be a lowercase name');
+  }
+  if (entry.aliases !== undefined && !isStringList(entry.aliases)) {
+    errors.push('aliases must be a list of names');
+  }
+  if (!isStringList(entry.commonDiseases)) {
+    errors.push('commonDiseases must be a list of disease names');
+  }
+  if (!isStringList(entry.pests)) {
+    errors.push('pests must be a list of pest names');
+  }
+  if (!entry.seasons || typeof entry.seasons.plant !== 'string' || typeof entry.seasons.harvest !== 'string') {
+    errors.push('seasons must have plant and harvest descriptions');
+  }
+  if (!entry.pesticides || typeof entry.pesticides !== 'object' || Array.isArray(entry.pesticides)) {
+    errors.push('pesticides must map a disease or pest to a recommendation');
+  } else {
+    const known = [...(entry.commonDiseases || []), ...(entry.pests || [])];
+    Object.entries(entry.pesticides).forEach(([target, recommendation]) => {
+      if (typeof recommendation !== 'string' || !recommendation.trim()) {
+        errors.push(`pesticides.${target} must be a recommendation text`);
+      } else if (Array.isArray(entry.commonDiseases) && !known.includes(target)) {
+        errors.push(`pesticides.${target} is not a listed disease or pest`);
+      }
+    });
+  }
+  if (entry.treatments !== undefined) {
+    Object.entries(entry.treatments || {}).forEach(([target, treatment]) => {
+      if (!entry.pesticides?.[target]) {
+        errors.push(`treatments.${target} needs a matching pesticides entry`);
+      }
+      if (!isStringList(treatment.steps)) {
+        errors.push(`treatments.${target}.steps must be a list of steps`);
+      }
+      (Array.isArray(treatment.products) ? treatment.products : [null]).forEach((use, i) => {
+        if (!use || !productCatalogue[use.product] || typeof use.dose !== 'string') {
+          errors.push(`treatments.${target}.products[${i}] needs a known product and a dose`);
+        }
+      });
+    });
+  }
+  if (entry.nutrients !== undefined) {
+    const { targetYield, dose, splits } = entry.nutrients || {};
+    if (!targetYield || !(targetYield.value > 0) || typeof targetYield.unit !== 'string') {
+      errors.push('nutrients.targetYield must be { value, unit }');
+    }
+    if (!dose || !['N', 'P2O5', 'K2O'].every(nutrient => typeof dose[nutrient] === 'number' && dose[nutrient] >= 0)) {
+      errors.push('nutrients.dose must give N, P2O5 and K2O in kg/ha');
+    }
+    if (!Array.isArray(splits) || !splits.length) {
+      errors.push('nutrients.splits must be a list');
+    } else {
+      splits.forEach((split, i) => {
+        if (typeof split.label !== 'string' || (!Number.isInteger(split.day) && !Number.isInteger(split.month))) {
+          errors.push(`nutrients.splits[${i}] needs a label and a day or month`);
+        }
+      });
+      ['N', 'P2O5', 'K2O'].forEach(nutrient => {
+        const share = splits.reduce((sum, split) => sum + (split[nutrient] || 0), 0);
+        if (Math.abs(share - 100) > 1) {
+          errors.push(`nutrients.splits must share out 100% of ${nutrient}`);
+        }
+      });
+    }
+  }
+  if (entry.calendar !== undefined) {
+    const { stages, activities } = entry.calendar || {};
+    if (!Array.isArray(stages) || !stages.every(s => typeof s.name === 'string' && (s.untilDay === null || Number.isInteger(s.untilDay)))) {
+      errors.push('calendar.stages must list { name, untilDay } in order');
+    }
+    if (!Array.isArray(activities)) {
+      errors.push('calendar.activities must be a list');
+    } else {
+      activities.forEach((activity, i) => {
+        if (!calendarActivityTypes.includes(activity.type) || typeof activity.task !== 'string') {
+          errors.push(`calendar.activities[${i}] needs a known type and a task`);
+        } else if (!Number.isInteger(activity.day) && !Number.isInteger(activity.everyDays) && !Array.isArray(activity.months)) {
+          errors.push(`calendar.activities[${i}] needs a day, everyDays or months`);
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+function loadCropDatabase() {
+  const loaded = {};
+  const files = fs.existsSync(cropKnowledgeDir)
+    ? fs.readdirSync(cropKnowledgeDir).filter(file => file.endsWith('.json'))
+    : [];
+  
+  files.forEach(file => {
+    const crop = path.basename(file, '.json');
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(cropKnowledgeDir, file), 'utf8'));
+      const errors = validateCropEntry(entry);
+      if (entry.crop !== crop) {
+        errors.push(`crop must match the file name (${crop})`);
+      }
+      if (errors.length) {
+        throw new Error(errors.join('; '));
+      }
+      loaded[crop] = entry;
+    } catch (error) {
+      // Keep serving the last good version rather than dropping the crop
+      console.error(`Invalid crop knowledge file ${file}:`, error.message);
+      if (cropDatabase[crop]) loaded[crop] = cropDatabase[crop];
+    }
+  });
+  
+  cropDatabase = loaded;
+  return cropDatabase;
+}
+
+function watchCropDatabase() {
+  let reloadTimer = null;
+  try {
+    fs.watch(cropKnowledgeDir, { persistent: false }, (eventType, file) => {
+      if (!file || !file.endsWith('.json')) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        loadCropDatabase();
+        console.log("Crop knowledge base reloaded");
+      }, 200);
+    });
+  } catch (error) {
+    console.error("Could not watch crop knowledge files:", error.message);
+  }
+}
+
+function getCropInfo(crop) {
+  return crop ? cropDatabase[crop.toLowerCase()] || null : null;
+}
+
+// Writes a new version of a crop entry, archiving the previous one in history/
+function saveCropEntry(entry) {
+  const previous = cropDatabase[entry.crop];
+  if (previous) {
+    fs.mkdirSync(cropHistoryDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(cropHistoryDir, `${entry.crop}.v${previous.version}.json`),
+      JSON.stringify(previous, null, 2) + '\n'
+    );
+  }
+  
+  const saved = {
+    ...entry,
+    version: previous ? previous.version + 1 : 1,
+    updatedAt: new Date().toISOString()
+  };
+  const file = path.join(cropKnowledgeDir, `${entry.crop}.json`);
+  fs.mkdirSync(cropKnowledgeDir, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(saved, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+  
+  cropDatabase[entry.crop] = saved;
+  return saved;
+}
+
+// Plant protection products referenced by crop treatments, keyed by id.
+// Crop files give the dose and timing for each use; the catalogue holds what
+// is true of the product everywhere.
+let productCatalogue = {};
+
+function loadProducts() {
+  const data = loadKnowledgeFile('products.json', knowledgeShape({ products: 'list' }));
+  if (data) {
+    productCatalogue = Object.fromEntries(data.products.map(product => [product.id, product]));
+  }
+  return productCatalogue;
+}
 
-const schemes = {
-  kerala: [
-    { name: "Krishi Bhavan Support", eligibility: "All farmers", benefit: "Free consultation" },
-    { name: "Organic Farming Subsidy", eligibility: "Small farmers", benefit: "50% subsidy on organic inputs" },
-    { name: "Crop Insurance", eligibility: "All farmers", benefit: "Weather risk coverage" }
-  ]
+loadProducts();
+reloadOnChange('products.json', loadProducts);
+
+loadCropDatabase();
+watchCropDatabase();
+
+// Government schemes live in knowledge/schemes.json with machine-readable
+// eligibility rules. Every rule is optional; a scheme with no rules is open
+// to all farmers. Deadlines are recurring month-day dates.
+let schemes = [];
+
+const farmerCategories = ['general', 'obc', 'sc', 'st'];
+const hectaresPerUnit = { hectare: 1, acre: 0.404686, cent: 0.00404686 };
+
+// Kerala's districts, so a district named in a chat reply also tells us the
+// state. A reply that names neither leaves both unknown rather than guessed.
+const stateDistricts = {
+  Kerala: ['Thiruvananthapuram', 'Kollam', 'Pathanamthitta', 'Alappuzha', 'Kottayam', 'Idukki', 'Ernakulam',
+    'Thrissur', 'Palakkad', 'Malappuram', 'Kozhikode', 'Wayanad', 'Kannur', 'Kasaragod']
 };
 
+function placeFromText(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  for (const [state, districts] of Object.entries(stateDistricts)) {
+    const district = districts.find(name => words.includes(name.toLowerCase()));
+    if (district) return { state, district };
+    if (words.includes(state.toLowerCase())) return { state, district: null };
+  }
+  return { state: null, district: null };
+}
+
+function loadSchemes() {
+  schemes = loadKnowledgeFile('schemes.json', knowledgeShape({ schemes: 'list' }))?.schemes || schemes;
+  return schemes;
+}
+
+function landholdingInHectares(landholding) {
+  if (!landholding || !hectaresPerUnit[landholding.unit]) return null;
+  return landholding.area * hectaresPerUnit[landholding.unit];
+}
+
+// The next occurrence of each "MM-DD" deadline, soonest first
+function upcomingDeadlines(deadlines, today) {
+  return (deadlines || []).map(({ label, date }) => {
+    const [month, day] = date.split('-').map(Number);
+    let due = new Date(today.getFullYear(), month - 1, day);
+    if (due < startOfDay(today)) {
+      due = new Date(today.getFullYear() + 1, month - 1, day);
+    }
+    return { label, date: formatDay(due), daysLeft: Math.round((due - startOfDay(today)) / 86400000) };
+  }).sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+// Checks a farmer profile against a scheme's rules. Each criterion is passed
+// (true), failed (false) or unknown (null) when the profile lacks the field;
+// a scheme is eligible only when every criterion passes.
+function evaluateScheme(scheme, farmer, today = new Date()) {
+  const rules = scheme.eligibility || {};
+  const criteria = [];
+  const check = (criterion, value, passes, requirement) => {
+    criteria.push({
+      criterion,
+      passed: value === null || value === undefined ? null : passes(value),
+      requirement,
+      value: value ?? null
+    });
+  };
+  const listed = (list, value) => list.some(item => sameText(item, value));
+  
+  if (rules.states) {
+    check('state', farmer.state, state => listed(rules.states, state), `Farmers in ${rules.states.join(', ')}`);
+  }
+  if (rules.districts) {
+    check('district', farmer.district, district => listed(rules.districts, district), `Farmers in ${rules.districts.join(', ')} district`);
+  }
+  if (rules.landholdingHectares) {
+    const { min = 0, max = Infinity } = rules.landholdingHectares;
+    const hectares = landholdingInHectares(farmer.landholding);
+    check('landholding', hectares === null ? null : Number(hectares.toFixed(3)), area => area >= min && area <= max,
+      max === Infinity ? `At least ${min} hectares of land` : `Between ${min} and ${max} hectares of land`);
+  }
+  if (rules.crops) {
+    const grown = (farmer.crops || []).map(planting => planting.crop);
+    check('crop', grown.length ? grown : null, crops => crops.some(crop => listed(rules.crops, crop)),
+      `Growing one of ${rules.crops.join(', ')}`);
+  }
+  if (rules.categories) {
+    check('category', farmer.category, category => rules.categories.includes(category),
+      `Category ${rules.categories.map(c => c.toUpperCase()).join(' or ')}`);
+  }
+  if (rules.maxAnnualIncome !== undefined) {
+    check('income', farmer.annualIncome, income => income <= rules.maxAnnualIncome,
+      `Annual family income up to ₹${rules.maxAnnualIncome.toLocaleString('en-IN')}`);
+  }
+  
+  let status = 'eligible';
+  if (criteria.some(c => c.passed === false)) status = 'ineligible';
+  else if (criteria.some(c => c.passed === null)) status = 'incomplete';
+  
+  const deadlines = upcomingDeadlines(scheme.deadlines, today);
+  return {
+    id: scheme.id,
+    name: scheme.name,
+    level: scheme.level,
+    benefit: scheme.benefit,
+    status,
+    criteria,
+    missingProfileFields: criteria.filter(c => c.passed === null).map(c => c.criterion),
+    nextDeadline: deadlines[0] || null,
+    deadlines,
+    documents: scheme.documents || [],
+    applyAt: scheme.applyAt || null
+  };
+}
+
+loadSchemes();
+reloadOnChange('schemes.json', loadSchemes);
+
 /* ---------------------- AI SERVICES ---------------------- */
 
 // Natural Language Understanding
-async function processNaturalLanguage(text, language = 'en') {
+async function processNaturalLanguage(text) {
   try {
-    // Extract key entities from text
-    const entities = extractEntities(text.toLowerCase());
+    // Understanding works on English, so translate first
+    const language = detectLanguage(text);
+    const translation = language === 'en' ? null : await translateText(text, language, 'en');
+    const englishText = translation ? translation.text : text;
     
-    // Translate if Malayalam
-    if (language === 'ml') {
-      text = await translateMalayalam(text);
-    }
+    // Extract key entities from text
+    const entities = extractEntities(englishText.toLowerCase());
     
     // Intent classification
-    const intent = classifyIntent(text);
+    const intent = classifyIntent(englishText.toLowerCase(), entities);
     
     return {
       originalText: text,
-      translatedText: language === 'ml' ? text : null,
+      translatedText: translation ? englishText : null,
+      language,
       entities,
       intent,
       confidence: 0.85
@@ -118,16 +766,20 @@ function extractEntities(text) {
     disease: null,
     pest: null,
     location: null,
-    season: null
+    season: null,
+    market: null,
+    commodity: null
   };
   
   // Simple entity extraction (replace with proper NER model)
-  const cropWords = ['banana', 'rice', 'tomato', 'coconut', 'pepper', 'cardamom'];
   const diseaseWords = ['spot', 'blight', 'wilt', 'rot', 'disease', 'infection'];
   const pestWords = ['aphid', 'borer', 'thrips', 'nematode', 'pest', 'insect'];
   
-  cropWords.forEach(crop => {
-    if (text.includes(crop)) entities.crop = crop;
+  // Crops and their local names come from the knowledge base. Names must
+  // start a word, so "price" doesn't read as rice.
+  Object.values(cropDatabase).forEach(cropInfo => {
+    const names = [cropInfo.crop, ...(cropInfo.aliases || [])];
+    if (names.some(name => new RegExp(`\\b${escapeRegExp(name)}`).test(text))) entities.crop = cropInfo.crop;
   });
   
   diseaseWords.forEach(disease => {
@@ -138,20 +790,59 @@ function extractEntities(text) {
     if (text.includes(pest)) entities.pest = pest;
   });
   
+  // A disease or pest named in the knowledge base beats the generic words above
+  Object.values(cropDatabase).forEach(cropInfo => {
+    cropInfo.commonDiseases.forEach(disease => {
+      if (text.includes(disease)) entities.disease = disease;
+    });
+    cropInfo.pests.forEach(pest => {
+      if (text.includes(pest)) entities.pest = pest;
+    });
+  });
+  
+  // Markets and produce as they are named in price bulletins; a crop on its
+  // own stands for its main commodity
+  entities.market = findPriceName(marketGuide.markets, text);
+  entities.commodity = findPriceName(marketGuide.commodities, text) || commodityForCrop(entities.crop);
+  
+  // Fall back to words experts have tied to a disease or pest
+  const words = tokenizeForLearning(text);
+  ['disease', 'pest'].forEach(entity => {
+    if (entities[entity]) return;
+    const word = words.find(w => learnedModel.entityKeywords[entity]?.[w]);
+    if (word) entities[entity] = learnedModel.entityKeywords[entity][word];
+  });
+  
   return entities;
 }
 
-function classifyIntent(text) {
-  const intentPatterns = {
-    disease_diagnosis: ['disease', 'problem', 'infected', 'spots', 'yellowing'],
-    pest_control: ['pest', 'insect', 'eating', 'holes', 'damage'],
-    fertilizer_advice: ['fertilizer', 'nutrient', 'growth', 'yield'],
-    weather_query: ['weather', 'rain', 'temperature', 'climate'],
-    scheme_info: ['scheme', 'subsidy', 'loan', 'government', 'support']
-  };
-  
+// Keywords are singular and matched at the start of a word, so "spot" also
+// catches "spots" and "infect" catches "infected", but "hole" misses "whole"
+const intentPatterns = {
+  market_price: ['price', 'market', 'mandi', 'sell'],
+  disease_diagnosis: ['disease', 'problem', 'infect', 'spot', 'yellowing'],
+  pest_control: ['pest', 'insect', 'eating', 'hole', 'damage'],
+  fertilizer_advice: ['fertilizer', 'fertiliser', 'nutrient', 'growth', 'yield'],
+  weather_query: ['weather', 'rain', 'temperature', 'climate'],
+  scheme_info: ['scheme', 'subsidy', 'subsidies', 'loan', 'government', 'support']
+};
+
+function classifyIntent(text, entities = {}) {
   for (const [intent, patterns] of Object.entries(intentPatterns)) {
-    if (patterns.some(pattern => text.includes(pattern))) {
+    if (patterns.some(pattern => new RegExp(`\\b${pattern}`).test(text))) {
+      return intent;
+    }
+  }
+  
+  // A disease or pest from the knowledge base says what the question is
+  // about even without a keyword ("my pepper has quick wilt")
+  if (specificEntity(entities.disease)) return 'disease_diagnosis';
+  if (specificEntity(entities.pest)) return 'pest_control';
+  
+  // Keywords learned from ratings and expert labels catch other phrasings
+  const words = tokenizeForLearning(text);
+  for (const [intent, keywords] of Object.entries(learnedModel.intentKeywords)) {
+    if (keywords.some(keyword => words.includes(keyword))) {
       return intent;
     }
   }
@@ -159,107 +850,1056 @@ function classifyIntent(text) {
   return 'general_query';
 }
 
-async function translateMalayalam(text) {
-  // Mock translation - replace with actual service
-  const commonPhrases = {
-    'വാഴയില് പുള്ളി': 'banana leaf spot',
-    'രോഗം': 'disease',
-    'കീടം': 'pest',
-    'മരുന്ന്': 'medicine',
-    'എന്ത് ചെയ്യണം': 'what to do'
+// Translation
+// Every translation first swaps agricultural terms (crops, diseases, pests,
+// pesticides) using the glossary in knowledge/glossary.json, so names come out
+// the way farmers and officers actually use them. An offline engine then
+// translates the rest; the glossary engine stops after the term swap.
+//
+// The glossary engine is only enough for understanding questions. Answers it
+// puts into Malayalam or Hindi keep their English sentences around the swapped
+// terms ("For ഇലപ്പുള്ളി in വാഴ, use ..."), so in production the server refuses
+// to start with it and TRANSLATION_ENGINE=subprocess is required. Messages from
+// knowledge/messages.json are written per language and are unaffected.
+let glossary = { terms: [] };
+
+const translationEngines = {
+  glossary: () => ({ name: 'glossary', translate: async text => text }),
+  // Any command that reads text on stdin and prints the translation, e.g. a
+  // wrapper around IndicTrans2 or Argos Translate
+  subprocess: () => createSubprocessTranslationEngine(process.env.TRANSLATE_BIN || "translate-offline")
+};
+
+let translationEngine = null;
+
+function getTranslationEngine() {
+  if (!translationEngine) {
+    const name = process.env.TRANSLATION_ENGINE || 'glossary';
+    if (!translationEngines[name]) {
+      throw new Error(`Unknown translation engine: ${name}`);
+    }
+    if (name === 'glossary' && process.env.NODE_ENV === 'production') {
+      throw new Error("The glossary translation engine leaves answers in English; set TRANSLATION_ENGINE=subprocess in production");
+    }
+    translationEngine = checkProviderRequirements('translation', translationEngines[name](), translationEngines.glossary);
+  }
+  return translationEngine;
+}
+
+function createSubprocessTranslationEngine(binary) {
+  return {
+    name: 'subprocess',
+    requires: { binaries: [binary] },
+    async translate(text, from, to) {
+      return runWithInput(binary, ['--source', from, '--target', to], text);
+    }
   };
+}
+
+function loadGlossary() {
+  glossary = loadKnowledgeFile('glossary.json', knowledgeShape({ terms: 'list' })) || glossary;
+  return glossary;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Detects en/ml/hi from the script most of the letters are written in.
+// Many farmers type Malayalam in Latin letters ("ente vazhayil pulli rogam"),
+// so Latin text is also checked against the romanised words in the glossary.
+function detectLanguage(text) {
+  const malayalam = (text.match(/[\u0D00-\u0D7F]/g) || []).length;
+  const devanagari = (text.match(/[\u0900-\u097F]/g) || []).length;
+  const latin = (text.match(/[a-z]/gi) || []).length;
   
-  for (const [malayalam, english] of Object.entries(commonPhrases)) {
-    text = text.replace(malayalam, english);
-  }
+  if (malayalam > devanagari && malayalam >= latin) return 'ml';
+  if (devanagari > malayalam && devanagari >= latin) return 'hi';
+  if (isRomanisedMalayalam(text)) return 'ml';
+  return 'en';
+}
+
+// At least two words, and a third of all words, must be Malayalam: a single
+// local crop name in an English question doesn't make it Malayalam
+function isRomanisedMalayalam(text) {
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const markers = new Set(glossary.romanised?.ml || []);
+  const terms = glossary.terms
+    .flatMap(term => [].concat(term.ml || []))
+    .filter(term => /^[a-z ]+$/i.test(term))
+    .flatMap(term => term.toLowerCase().split(' '));
   
-  return text;
+  // Terms are matched as word stems, since case endings attach to them (vazhayil)
+  const malayalamWords = words.filter(word => markers.has(word) || terms.some(term => word.startsWith(term)));
+  return malayalamWords.length >= 2 && malayalamWords.length * 3 >= words.length;
 }
 
-// Image Analysis
-async function analyzeImage(imagePath, cropType) {
-  try {
-    // Mock image analysis - replace with actual ML model
-    const fileName = path.basename(imagePath).toLowerCase();
-    
-    const diseasePatterns = {
-      'spot': { disease: 'Leaf Spot', confidence: 0.82 },
-      'blight': { disease: 'Late Blight', confidence: 0.89 },
-      'yellow': { disease: 'Nutrient Deficiency', confidence: 0.75 },
-      'brown': { disease: 'Fungal Infection', confidence: 0.78 }
-    };
-    
-    for (const [pattern, result] of Object.entries(diseasePatterns)) {
-      if (fileName.includes(pattern)) {
-        return {
-          disease: result.disease,
-          confidence: result.confidence,
-          symptoms: [Visible ${pattern} patterns, 'Affected leaf areas'],
-          severity: result.confidence > 0.8 ? 'high' : 'medium'
-        };
-      }
-    }
-    
-    return {
-      disease: 'Unknown condition',
-      confidence: 0.45,
-      symptoms: ['Unclear symptoms from image'],
-      severity: 'low'
-    };
-  } catch (error) {
-    console.error("Image analysis error:", error);
-    return { error: "Could not analyze image" };
-  }
+function applyGlossary(text, from, to) {
+  const pairs = [];
+  glossary.terms.forEach(term => {
+    const target = [].concat(term[to] || [])[0];
+    if (!target) return;
+    [].concat(term[from] || []).forEach(source => pairs.push([source, target]));
+  });
+  
+  // Longest first so "leaf spot" is swapped before "leaf"
+  pairs.sort(([a], [b]) => b.length - a.length);
+  
+  return pairs.reduce((result, [source, target]) => {
+    // Malayalam and Hindi attach case endings to the stem (വാഴയിൽ), so only
+    // English terms are matched on word boundaries. Romanised Malayalam is
+    // matched regardless of case.
+    const pattern = from === 'en'
+      ? new RegExp(`\\b${escapeRegExp(source)}\\b`, 'gi')
+      : new RegExp(escapeRegExp(source), /[a-z]/i.test(source) ? 'gi' : 'g');
+    return result.replace(pattern, target);
+  }, text);
 }
 
-// Voice Processing
-async function processVoice(audioPath) {
+async function translateText(text, from, to) {
+  if (!text || from === to) {
+    return { text, engine: null };
+  }
+  
+  const engine = getTranslationEngine();
+  const withTerms = applyGlossary(text, from, to);
   try {
-    // Mock voice-to-text - replace with actual speech recognition
-    return {
-      text: "വാഴയിൽ പുള്ളി രോഗം വന്നിട്ടുണ്ട്, എന്ത് മരുന്ന് ഉപയോഗിക്കണം?",
-      language: 'ml',
-      confidence: 0.87
-    };
+    const translated = await engine.translate(withTerms, from, to);
+    return { text: translated.trim(), engine: engine.name };
   } catch (error) {
-    console.error("Voice processing error:", error);
-    return { error: "Could not process voice input" };
+    console.error("Translation error:", error);
+    return { text: withTerms, engine: 'glossary' };
   }
 }
 
-// Context-Aware AI Engine
-async function generateAdvice(query, context, farmerHistory) {
-  try {
-    const { nlp, imageAnalysis, crop, location, season } = context;
-    
-    // Get farmer's context
-    const farmerProfile = farmers.get(context.farmerId) || {};
-    
-    // Build comprehensive context
-    const aiContext = {
-      location: location || farmerProfile.location,
-      crop: crop || nlp?.entities?.crop,
-      season: season || getCurrentSeason(),
+// Puts the farmer-facing parts of generated advice into their language
+async function localiseAdvice(aiResponse, language) {
+  const translate = async text => text ? (await translateText(text, 'en', language)).text : text;
+  
+  // Recommendations come from the message catalogue already in this language
+  const recommendations = aiResponse.recommendations || [];
+  const structured = aiResponse.structured;
+  
+  return {
+    answer: await translate(aiResponse.mainAdvice),
+    recommendations,
+    clarification: aiResponse.clarification
+      ? { ...aiResponse.clarification, question: await translate(aiResponse.clarification.question) }
+      : null,
+    structured: structured ? {
+      ...structured,
+      language,
+      treatment: structured.treatment ? {
+        ...structured.treatment,
+        steps: await Promise.all(structured.treatment.steps.map(translate)),
+        precautions: await Promise.all(structured.treatment.precautions.map(translate))
+      } : null,
+      expertAdvice: await translate(structured.expertAdvice),
+      recommendations
+    } : null
+  };
+}
+
+loadGlossary();
+reloadOnChange('glossary.json', loadGlossary);
+
+// Fixed messages the server writes itself (weather warnings, calendar
+// reminders) are kept per language in knowledge/messages.json rather than
+// machine-translated. Placeholders look like {crop}; numbers and lists are
+// formatted for the locale and English terms go through the glossary.
+let messageCatalogue = { messages: {} };
+
+const localeTags = { en: 'en-IN', ml: 'ml-IN', hi: 'hi-IN' };
+
+function loadMessages() {
+  messageCatalogue = loadKnowledgeFile('messages.json', knowledgeShape({ messages: 'map' })) || messageCatalogue;
+  return messageCatalogue;
+}
+
+function formatNumber(value, language = 'en', options = {}) {
+  return new Intl.NumberFormat(localeTags[language] || localeTags.en, options).format(value);
+}
+
+function localMessage(language, key, params = {}) {
+  const entry = messageCatalogue.messages[key];
+  if (!entry) return key;
+  const lang = entry[language] ? language : 'en';
+  const locale = localeTags[lang];
+  
+  // Plural forms are objects keyed by Intl.PluralRules category
+  let template = entry[lang];
+  if (typeof template === 'object') {
+    template = template[new Intl.PluralRules(locale).select(params.count)] || template.other;
+  }
+  
+  const format = value => {
+    if (typeof value === 'number') return formatNumber(value, lang);
+    if (Array.isArray(value)) return new Intl.ListFormat(locale, { type: 'conjunction' }).format(value.map(format));
+    return lang === 'en' ? String(value) : applyGlossary(String(value), 'en', lang);
+  };
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] === undefined ? placeholder : format(params[name]));
+}
+
+loadMessages();
+reloadOnChange('messages.json', loadMessages);
+
+// Image Analysis
+// Image classifiers return a probability for every label they know. The default
+// runs an ONNX plant-disease model on the CPU; which model, its labels and its
+// calibration are all configuration, so a retrained model is a config change.
+const imageClassifiers = {
+  onnx: () => createOnnxImageClassifier({
+    model: process.env.IMAGE_MODEL || path.join(__dirname, "models", "plant-disease.onnx"),
+    labels: process.env.IMAGE_LABELS || path.join(__dirname, "models", "plant-disease.labels.json"),
+    inputSize: parseInt(process.env.IMAGE_INPUT_SIZE, 10) || 224,
+    temperature: parseFloat(process.env.IMAGE_TEMPERATURE) || 1,
+    outputsLogits: process.env.IMAGE_MODEL_OUTPUT !== 'probabilities'
+  }),
+  fixture: () => createFixtureImageClassifier(process.env.IMAGE_FIXTURES)
+};
+
+const imageTopK = parseInt(process.env.IMAGE_TOP_K, 10) || 3;
+const imageMinConfidence = parseFloat(process.env.IMAGE_MIN_CONFIDENCE) || 0.5;
+
+let imageClassifier = null;
+
+function getImageClassifier() {
+  if (!imageClassifier) {
+    const name = process.env.IMAGE_CLASSIFIER || 'onnx';
+    if (!imageClassifiers[name]) {
+      throw new Error(`Unknown image classifier: ${name}`);
+    }
+    imageClassifier = checkProviderRequirements('image', imageClassifiers[name](), imageClassifiers.fixture);
+  }
+  return imageClassifier;
+}
+
+// Labels are either PlantVillage-style strings ("Tomato___Late_blight") or
+// objects { crop, disease, healthy, symptoms }
+function parseImageLabel(label) {
+  if (typeof label === 'object') {
+    return { healthy: false, symptoms: [], ...label, crop: label.crop?.toLowerCase() || null };
+  }
+  
+  const [cropPart, diseasePart = cropPart] = label.split('___');
+  const disease = diseasePart.replace(/_+/g, ' ').trim()
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+  return {
+    crop: cropPart.replace(/_+/g, ' ').split(/[ ,(]/)[0].toLowerCase(),
+    disease,
+    healthy: /healthy/i.test(disease),
+    symptoms: []
+  };
+}
+
+function softmax(values, temperature = 1) {
+  const scaled = Array.from(values, v => v / temperature);
+  const max = Math.max(...scaled);
+  const exps = scaled.map(v => Math.exp(v - max));
+  const total = exps.reduce((sum, v) => sum + v, 0);
+  return exps.map(v => v / total);
+}
+
+function createOnnxImageClassifier({ model, labels, inputSize, temperature, outputsLogits }) {
+  // The session and labels are loaded on the first image, so startup stays
+  // fast. A load that fails is tried again on the next image, not kept.
+  let loading = null;
+  const load = () => {
+    if (!loading) {
+      const ort = require("onnxruntime-node");
+      loading = Promise.all([
+        ort.InferenceSession.create(model, { executionProviders: ['cpu'] }),
+        fs.promises.readFile(labels, 'utf8').then(text => JSON.parse(text).map(parseImageLabel))
+      ]).catch(error => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  };
+  
+  return {
+    name: `onnx:${path.basename(model)}`,
+    requires: { files: [model, labels], modules: ['onnxruntime-node', 'sharp'] },
+    async classify(imagePath) {
+      const ort = require("onnxruntime-node");
+      const sharp = require("sharp");
+      
+      const [session, labelList] = await load();
+      
+      // Resize to the model's input, then HWC uint8 → normalised NCHW float32
+      const pixels = await sharp(imagePath)
+        .rotate()
+        .removeAlpha()
+        .resize(inputSize, inputSize, { fit: 'cover' })
+        .raw()
+        .toBuffer();
+      const mean = [0.485, 0.456, 0.406];
+      const std = [0.229, 0.224, 0.225];
+      const planeSize = inputSize * inputSize;
+      const input = new Float32Array(3 * planeSize);
+      for (let i = 0; i < planeSize; i++) {
+        for (let c = 0; c < 3; c++) {
+          input[c * planeSize + i] = (pixels[i * 3 + c] / 255 - mean[c]) / std[c];
+        }
+      }
+      
+      const outputs = await session.run({
+        [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, inputSize, inputSize])
+      });
+      const scores = outputs[session.outputNames[0]].data;
+      
+      // Temperature scaling calibrates the raw logits into usable confidences
+      const probabilities = outputsLogits ? softmax(scores, temperature) : Array.from(scores);
+      return labelList.map((label, i) => ({ ...label, confidence: probabilities[i] }));
+    }
+  };
+}
+
+function createFixtureImageClassifier(fixturesFile) {
+  // Fixtures map the SHA-256 of the image to a list of { crop, disease, confidence }
+  const fixtures = fixturesFile && fs.existsSync(fixturesFile)
+    ? JSON.parse(fs.readFileSync(fixturesFile, 'utf8'))
+    : {};
+  const defaultFixture = [
+    { crop: 'banana', disease: 'Leaf Spot', confidence: 0.82 },
+    { crop: 'banana', disease: 'Black Sigatoka', confidence: 0.11 },
+    { crop: 'banana', disease: 'Healthy', confidence: 0.07 }
+  ];
+  
+  return {
+    name: 'fixture',
+    async classify(imagePath) {
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(imagePath)).digest('hex');
+      return (fixtures[hash] || defaultFixture).map(entry => ({ ...parseImageLabel(entry), confidence: entry.confidence }));
+    }
+  };
+}
+
+async function analyzeImage(imagePath, cropType) {
+  try {
+    const classifier = getImageClassifier();
+    let predictions = await classifier.classify(imagePath);
+    
+    // When the farmer told us the crop, only that crop's labels are plausible;
+    // renormalise so the remaining confidences still sum to one
+    const crop = cropType?.toLowerCase();
+    if (crop && predictions.some(p => p.crop === crop)) {
+      predictions = predictions.filter(p => p.crop === crop);
+      const total = predictions.reduce((sum, p) => sum + p.confidence, 0) || 1;
+      predictions = predictions.map(p => ({ ...p, confidence: p.confidence / total }));
+    }
+    
+    predictions = predictions
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, imageTopK)
+      .map(p => ({ ...p, confidence: Math.round(p.confidence * 100) / 100 }));
+    
+    const top = predictions[0];
+    const topK = predictions.map(({ crop, disease, confidence }) => ({ crop, disease, confidence }));
+    
+    if (!top || top.confidence < imageMinConfidence) {
+      return {
+        disease: 'Unknown condition',
+        confidence: top ? top.confidence : 0,
+        symptoms: ['Unclear symptoms from image'],
+        severity: 'low',
+        predictions: topK,
+        model: classifier.name
+      };
+    }
+    
+    return {
+      disease: top.disease,
+      crop: top.crop,
+      healthy: top.healthy,
+      confidence: top.confidence,
+      symptoms: top.symptoms,
+      severity: top.healthy ? 'none' : top.confidence > 0.8 ? 'high' : 'medium',
+      predictions: topK,
+      model: classifier.name
+    };
+  } catch (error) {
+    console.error("Image analysis error:", error);
+    return { error: "Could not analyze image" };
+  }
+}
+
+// Voice Processing
+// Speech providers turn a normalised 16kHz mono WAV into
+// { text, language, segments: [{ start, end, text, confidence }] }.
+// The default runs a locally installed whisper.cpp model as a subprocess so no
+// audio leaves the machine; the fixture provider is deterministic for tests.
+const supportedLanguages = ['en', 'ml', 'hi'];
+
+const speechProviders = {
+  whisper: () => createWhisperSpeechProvider({
+    binary: process.env.WHISPER_BIN || "whisper-cli",
+    model: process.env.WHISPER_MODEL || path.join(__dirname, "models", "ggml-base.bin")
+  }),
+  fixture: () => createFixtureSpeechProvider(process.env.SPEECH_FIXTURES)
+};
+
+let speechProvider = null;
+
+function getSpeechProvider() {
+  if (!speechProvider) {
+    const name = process.env.SPEECH_PROVIDER || 'whisper';
+    if (!speechProviders[name]) {
+      throw new Error(`Unknown speech provider: ${name}`);
+    }
+    speechProvider = checkProviderRequirements('speech', speechProviders[name](), speechProviders.fixture);
+  }
+  return speechProvider;
+}
+
+// Providers list the binaries, files and modules they need in `requires`.
+// Without them every request would fail, so this is checked when the provider
+// is set up at startup: in production the server refuses to start, anywhere
+// else a fallback (the fixture provider, or the glossary translation engine)
+// stands in so the rest of the app still works.
+function checkProviderRequirements(kind, provider, createFallback) {
+  const missing = missingRequirements(provider.requires);
+  if (!missing.length) return provider;
+  
+  const message = `The ${provider.name} ${kind} provider cannot run, not found: ${missing.join(', ')}`;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(message);
+  }
+  const fallback = createFallback();
+  const caveat = fallback.name === 'fixture' ? '; its results are canned test data' : '';
+  console.warn(`${message}. Using the ${fallback.name} ${kind} provider instead${caveat}.`);
+  return fallback;
+}
+
+function missingRequirements({ binaries = [], files = [], modules = [] } = {}) {
+  const isExecutable = file => {
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+  // Bare names are looked up on PATH, the way execFile and spawn find them
+  const findBinary = binary => binary.includes(path.sep)
+    ? isExecutable(binary)
+    : (process.env.PATH || '').split(path.delimiter).some(dir => dir && isExecutable(path.join(dir, binary)));
+  const canRequire = name => {
+    try {
+      require.resolve(name);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  
+  return [
+    ...binaries.filter(binary => !findBinary(binary)),
+    ...files.filter(file => !fs.existsSync(file)),
+    ...modules.filter(name => !canRequire(name))
+  ];
+}
+
+function createWhisperSpeechProvider({ binary, model }) {
+  return {
+    name: 'whisper',
+    // Recordings are converted with ffmpeg before whisper sees them
+    requires: { binaries: [binary, process.env.FFMPEG_BIN || "ffmpeg"], files: [model] },
+    async transcribe(wavPath, { language = 'auto' } = {}) {
+      const outputBase = `${wavPath}.transcript`;
+      await execFileAsync(binary, [
+        '-m', model,
+        '-f', wavPath,
+        '-l', language,
+        '-ojf',
+        '-of', outputBase,
+        '-np'
+      ], { timeout: 120000 });
+      
+      try {
+        const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+        const segments = (output.transcription || []).map(segment => {
+          // Per-token probabilities are the closest thing whisper gives to a
+          // confidence; average them over the real (non-special) tokens
+          const tokens = (segment.tokens || []).filter(t => !/^\[_.*\]$/.test(t.text));
+          const confidence = tokens.length
+            ? tokens.reduce((sum, t) => sum + t.p, 0) / tokens.length
+            : null;
+          return {
+            start: segment.offsets.from / 1000,
+            end: segment.offsets.to / 1000,
+            text: segment.text.trim(),
+            confidence
+          };
+        });
+        
+        return {
+          text: segments.map(s => s.text).join(' ').trim(),
+          language: output.result?.language,
+          segments
+        };
+      } finally {
+        fs.unlink(`${outputBase}.json`, () => {});
+      }
+    }
+  };
+}
+
+function createFixtureSpeechProvider(fixturesFile) {
+  // Fixtures map the SHA-256 of the uploaded audio to a transcript; anything
+  // unknown gets the default fixture so results stay deterministic
+  const fixtures = fixturesFile && fs.existsSync(fixturesFile)
+    ? JSON.parse(fs.readFileSync(fixturesFile, 'utf8'))
+    : {};
+  const defaultFixture = {
+    text: "വാഴയിൽ പുള്ളി രോഗം വന്നിട്ടുണ്ട്, എന്ത് മരുന്ന് ഉപയോഗിക്കണം?",
+    language: 'ml',
+    segments: [
+      { start: 0, end: 1.8, text: "വാഴയിൽ പുള്ളി രോഗം വന്നിട്ടുണ്ട്,", confidence: 0.89 },
+      { start: 1.8, end: 3.4, text: "എന്ത് മരുന്ന് ഉപയോഗിക്കണം?", confidence: 0.85 }
+    ]
+  };
+  
+  return {
+    name: 'fixture',
+    async transcribe(wavPath, options = {}, sourcePath = wavPath) {
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(sourcePath)).digest('hex');
+      return fixtures[hash] || defaultFixture;
+    }
+  };
+}
+
+// Converts whatever the phone recorded (ogg/opus, m4a, amr, webm...) into the
+// 16kHz mono PCM WAV that speech models expect
+async function normaliseAudio(audioPath) {
+  const wavPath = path.join(os.tmpdir(), `voice-${crypto.randomUUID()}.wav`);
+  await execFileAsync(process.env.FFMPEG_BIN || "ffmpeg", [
+    '-y', '-i', audioPath,
+    '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le',
+    wavPath
+  ], { timeout: 60000 });
+  return wavPath;
+}
+
+async function processVoice(audioPath, options = {}) {
+  const provider = getSpeechProvider();
+  const language = supportedLanguages.includes(options.language) ? options.language : 'auto';
+  let wavPath = null;
+  
+  try {
+    // The fixture provider never decodes audio, so skip the ffmpeg dependency
+    wavPath = provider.name === 'fixture' ? audioPath : await normaliseAudio(audioPath);
+    const result = await provider.transcribe(wavPath, { language }, audioPath);
+    
+    const scored = result.segments.filter(s => typeof s.confidence === 'number');
+    const confidence = scored.length
+      ? scored.reduce((sum, s) => sum + s.confidence, 0) / scored.length
+      : 0.5;
+    
+    return {
+      text: result.text,
+      // Fall back to the script of the transcript when the recogniser
+      // reports a language we don't support
+      language: supportedLanguages.includes(result.language)
+        ? result.language
+        : detectLanguage(result.text),
+      confidence: Math.round(confidence * 100) / 100,
+      segments: result.segments,
+      provider: provider.name
+    };
+  } catch (error) {
+    console.error("Voice processing error:", error);
+    return { error: "Could not process voice input" };
+  } finally {
+    if (wavPath && wavPath !== audioPath) {
+      fs.unlink(wavPath, () => {});
+    }
+  }
+}
+
+// Speech Synthesis
+// TTS providers write a WAV file for the given text and language. espeak-ng is
+// the default because it ships voices for en, ml and hi offline; piper gives
+// more natural voices where a model per language has been downloaded.
+const ttsProviders = {
+  espeak: () => createEspeakTtsProvider(process.env.ESPEAK_BIN || "espeak-ng"),
+  piper: () => createPiperTtsProvider({
+    binary: process.env.PIPER_BIN || "piper",
+    voices: {
+      en: process.env.PIPER_VOICE_EN,
+      ml: process.env.PIPER_VOICE_ML,
+      hi: process.env.PIPER_VOICE_HI
+    }
+  }),
+  fixture: () => createFixtureTtsProvider()
+};
+
+let ttsProvider = null;
+
+function getTtsProvider() {
+  if (!ttsProvider) {
+    const name = process.env.TTS_PROVIDER || 'espeak';
+    if (!ttsProviders[name]) {
+      throw new Error(`Unknown TTS provider: ${name}`);
+    }
+    ttsProvider = checkProviderRequirements('speech synthesis', ttsProviders[name](), ttsProviders.fixture);
+  }
+  return ttsProvider;
+}
+
+// Runs a binary with text on stdin and resolves with its stdout; execFile
+// can't feed stdin
+function runWithInput(binary, args, input, timeout = 60000) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), timeout);
+    
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    // A child that exits without reading its input (a bad voice or a missing
+    // model) fails the write with EPIPE, which would otherwise be uncaught
+    child.stdin.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      code === 0 ? resolve(stdout) : reject(new Error(`${binary} exited with ${code}: ${stderr.trim()}`));
+    });
+    child.stdin.end(input);
+  });
+}
+
+function createEspeakTtsProvider(binary) {
+  return {
+    name: 'espeak',
+    requires: { binaries: [binary] },
+    synthesize(text, language, outputPath) {
+      return runWithInput(binary, ['-v', language, '-s', '140', '-w', outputPath, '--stdin'], text);
+    }
+  };
+}
+
+function createPiperTtsProvider({ binary, voices }) {
+  return {
+    name: 'piper',
+    requires: { binaries: [binary], files: Object.values(voices).filter(Boolean) },
+    synthesize(text, language, outputPath) {
+      if (!voices[language]) {
+        return Promise.reject(new Error(`No piper voice configured for ${language}`));
+      }
+      return runWithInput(binary, ['--model', voices[language], '--output_file', outputPath], text);
+    }
+  };
+}
+
+function createFixtureTtsProvider() {
+  // Writes a short silent WAV so callers get a real, playable file in tests
+  return {
+    name: 'fixture',
+    async synthesize(text, language, outputPath) {
+      const sampleRate = 8000;
+      const samples = Buffer.alloc(sampleRate / 2);
+      const header = Buffer.alloc(44);
+      header.write('RIFF', 0);
+      header.writeUInt32LE(36 + samples.length, 4);
+      header.write('WAVEfmt ', 8);
+      header.writeUInt32LE(16, 16);
+      header.writeUInt16LE(1, 20);
+      header.writeUInt16LE(1, 22);
+      header.writeUInt32LE(sampleRate, 24);
+      header.writeUInt32LE(sampleRate, 28);
+      header.writeUInt16LE(1, 32);
+      header.writeUInt16LE(8, 34);
+      header.write('data', 36);
+      header.writeUInt32LE(samples.length, 40);
+      fs.writeFileSync(outputPath, Buffer.concat([header, samples.fill(128)]));
+    }
+  };
+}
+
+// Returns the URL of a WAV for the text, synthesising it only on a cache miss.
+// Files are named by a hash of provider, language and text.
+async function synthesizeSpeech(text, language = 'en') {
+  try {
+    const provider = getTtsProvider();
+    const hash = crypto.createHash('sha256')
+      .update(`${provider.name}\n${language}\n${text}`)
+      .digest('hex');
+    const fileName = `${hash}.wav`;
+    const outputPath = path.join("audio", fileName);
+    
+    if (fs.existsSync(outputPath)) {
+      return { audioUrl: `/audio/${fileName}`, cached: true };
+    }
+    
+    // Synthesise to a temp name of its own so a half-written file is never
+    // served and concurrent requests for the same text don't share one
+    const tempPath = `${outputPath}.${crypto.randomUUID()}.tmp`;
+    try {
+      await provider.synthesize(text, language, tempPath);
+      fs.renameSync(tempPath, outputPath);
+    } finally {
+      fs.unlink(tempPath, () => {});
+    }
+    
+    return { audioUrl: `/audio/${fileName}`, cached: false };
+  } catch (error) {
+    console.error("TTS error:", error);
+    return { error: "Could not synthesise speech" };
+  }
+}
+
+// Pesticide compliance
+// Every product in a treatment plan is checked before it reaches a farmer:
+// bans and restrictions for the farmer's state, the label's maximum dose, the
+// pre-harvest interval against the expected harvest, and organic certification
+// when the farmer farms organically. Blocked products are dropped from the
+// plan, logged, and replaced with organic/IPM alternatives where there are any.
+let compliance = { restrictions: [], organicAlternatives: {} };
+
+const farmingPractices = ['conventional', 'organic'];
+
+function loadCompliance() {
+  compliance = loadKnowledgeFile('compliance.json', knowledgeShape({ restrictions: 'list', organicAlternatives: 'map' })) || compliance;
+  return compliance;
+}
+
+// Restrictions on any chemical named in the text that apply in the state
+function findRestrictions(text, state) {
+  const haystack = (text || '').toLowerCase();
+  return compliance.restrictions.filter(restriction =>
+    haystack.includes(restriction.match.toLowerCase()) &&
+    (restriction.states.includes('*') || restriction.states.some(s => sameText(s, state)))
+  );
+}
+
+function logBlockedRecommendation(entry) {
+  storage.complianceLog.insert({ id: crypto.randomUUID(), at: new Date().toISOString(), ...entry });
+  console.warn(`Blocked recommendation (${entry.rule}): ${entry.detail}`);
+}
+
+function productPasses(product, farmer, daysToHarvest) {
+  const catalogue = productCatalogue[product.productId] || {};
+  const restrictions = findRestrictions(`${product.name} ${product.activeIngredient || ''}`, farmer.state);
+  const ban = restrictions.find(r => r.status === 'banned');
+  
+  if (ban) {
+    return { rule: 'banned', detail: `${product.name}: ${ban.reason}` };
+  }
+  if (catalogue.maxDose && product.rate &&
+      (product.rate.unit !== catalogue.maxDose.unit || product.rate.value > catalogue.maxDose.value)) {
+    return { rule: 'max_dose', detail: `${product.name} at ${product.rate.value} ${product.rate.unit} is above the label maximum of ${catalogue.maxDose.value} ${catalogue.maxDose.unit}` };
+  }
+  if (daysToHarvest !== null && (product.preHarvestIntervalDays || 0) > daysToHarvest) {
+    return { rule: 'pre_harvest_interval', detail: `${product.name} needs ${product.preHarvestIntervalDays} days before harvest, but harvest is due in ${daysToHarvest} days` };
+  }
+  if (farmer.farmingPractice === 'organic' && !catalogue.organicAllowed) {
+    return { rule: 'organic', detail: `${product.name} is not permitted in organic farming` };
+  }
+  return { warnings: restrictions.map(r => `${product.name}: ${r.reason}`) };
+}
+
+function checkTreatmentCompliance(plan, farmer, { crop, cropCalendar } = {}) {
+  if (!plan) return null;
+  
+  const daysToHarvest = cropCalendar?.daysToHarvest ?? null;
+  const blocked = [];
+  const warnings = [];
+  const block = (product, { rule, detail }) => {
+    blocked.push({ productId: product.productId || null, name: product.name || null, rule, detail });
+    logBlockedRecommendation({
+      farmerId: farmer.id || null,
+      state: farmer.state || null,
+      crop,
+      target: plan.target,
+      productId: product.productId || null,
+      rule,
+      detail
+    });
+  };
+  
+  // Entries with only free text are checked by name against the ban list
+  let summary = plan.summary;
+  const textBan = !plan.products.length && findRestrictions(summary, farmer.state).find(r => r.status === 'banned');
+  if (textBan) {
+    block({ name: textBan.match }, { rule: 'banned', detail: `${textBan.match}: ${textBan.reason}` });
+    summary = null;
+  }
+  
+  let products = plan.products.filter(product => {
+    const result = productPasses(product, farmer, daysToHarvest);
+    if (result.rule) {
+      block(product, result);
+      return false;
+    }
+    warnings.push(...result.warnings);
+    return true;
+  });
+  
+  // Organic farmers, and anyone left without a permitted product, get the
+  // organic/IPM alternatives for the kinds of product that were removed
+  if (blocked.length && (farmer.farmingPractice === 'organic' || !products.length)) {
+    const removedTypes = new Set(blocked.map(b => productCatalogue[b.productId]?.type).filter(Boolean));
+    const alternativeIds = Object.entries(compliance.organicAlternatives)
+      .filter(([type]) => [...removedTypes].some(removed => removed.includes(type)))
+      .flatMap(([, ids]) => ids);
+    
+    alternativeIds.forEach(id => {
+      const { id: productId, precautions, defaultUse, ...product } = productCatalogue[id] || {};
+      if (!defaultUse || products.some(p => p.productId === id)) return;
+      const alternative = { productId, ...product, ...defaultUse, alternative: true };
+      if (!productPasses(alternative, farmer, daysToHarvest).rule) {
+        products.push(alternative);
+      }
+    });
+  }
+  
+  if (blocked.length && plan.products.length) {
+    summary = products.length ? products.map(p => `${p.name} (${p.dose})`).join(' or ') : null;
+  }
+  
+  return {
+    ...plan,
+    summary,
+    products,
+    precautions: [...new Set([
+      ...products.flatMap(p => productCatalogue[p.productId]?.precautions || []),
+      ...generalSprayPrecautions
+    ])],
+    ppe: [...new Set(products.flatMap(p => productCatalogue[p.productId]?.ppe || []))],
+    compliance: {
+      organic: farmer.farmingPractice === 'organic',
+      daysToHarvest,
+      blocked,
+      warnings
+    }
+  };
+}
+
+loadCompliance();
+reloadOnChange('compliance.json', loadCompliance);
+
+// Structured advice sent alongside the plain answer. Bump the version when a
+// field changes meaning or is removed; adding fields keeps the version.
+const adviceSchemaVersion = 1;
+
+const generalSprayPrecautions = [
+  "Wear gloves, a mask and full sleeves while mixing and spraying",
+  "Do not spray against the wind",
+  "Wash hands and face with soap after spraying"
+];
+
+// Steps, products and precautions for a disease or pest on a crop. Entries
+// with only the free-text pesticides line still get a single step.
+function buildTreatmentPlan(crop, target, { severity, season } = {}) {
+  const cropInfo = getCropInfo(crop);
+  const key = target?.toLowerCase();
+  const summary = cropInfo?.pesticides[key];
+  if (!summary) return null;
+  
+  const entry = cropInfo.treatments?.[key] || { steps: [`Apply ${summary}`], products: [], source: null };
+  const products = entry.products.map(({ product: productId, ...use }) => {
+    const { id, precautions, ...product } = productCatalogue[productId] || { name: productId };
+    return { productId, ...product, ...use };
+  });
+  
+  const steps = [
+    ...(severity === 'high' ? ["Treat immediately - this is a serious infection"] : []),
+    ...entry.steps,
+    "Apply during early morning or late evening and cover the affected areas well",
+    ...(season === 'monsoon' ? ["Ensure proper drainage and avoid overhead irrigation"] : [])
+  ];
+  const precautions = [...new Set([
+    ...entry.products.flatMap(use => productCatalogue[use.product]?.precautions || []),
+    ...generalSprayPrecautions
+  ])];
+  
+  return {
+    target: key,
+    summary,
+    steps,
+    products,
+    precautions,
+    source: entry.source,
+    knowledgeVersion: cropInfo.version
+  };
+}
+
+// Why the engine answered as it did: what it matched, how sure the image
+// model was, and which weather and calendar facts shaped the advice
+function buildAdviceExplanation({ nlp, imageAnalysis, aiContext, baseConfidence, confidence, disease }) {
+  return {
+    matchedEntities: {
+      intent: imageAnalysis?.disease ? 'disease_diagnosis' : nlp?.intent || null,
+      crop: aiContext.crop || null,
+      disease: disease || null,
+      pest: nlp?.entities?.pest || null,
+      location: aiContext.location || null
+    },
+    image: imageAnalysis ? {
+      label: imageAnalysis.disease,
+      score: imageAnalysis.confidence,
+      healthy: imageAnalysis.healthy,
+      model: imageAnalysis.model,
+      predictions: imageAnalysis.predictions
+    } : null,
+    weatherFactors: applyWeatherRules(aiContext.localWeather, aiContext),
+    cropStage: aiContext.cropCalendar?.stage || null,
+    season: aiContext.season,
+    confidence: {
+      base: baseConfidence,
+      learnedAdjustment: Number((confidence - baseConfidence).toFixed(2)),
+      final: confidence
+    }
+  };
+}
+
+function buildStructuredAdvice({ nlp, imageAnalysis, aiContext, disease, treatment, expertTip, recommendations, baseConfidence, confidence }) {
+  const cropInfo = getCropInfo(aiContext.crop);
+  
+  const sources = [];
+  if (cropInfo) {
+    sources.push({ type: 'knowledge_base', id: `crop:${cropInfo.crop}`, version: cropInfo.version, updatedAt: cropInfo.updatedAt });
+  }
+  if (treatment?.source) {
+    sources.push({ type: 'reference', title: treatment.source });
+  }
+  if (imageAnalysis) {
+    sources.push({ type: 'image_model', id: imageAnalysis.model });
+  }
+  if (aiContext.localWeather) {
+    sources.push({ type: 'weather', id: aiContext.localWeather.source });
+  }
+  if (expertTip) {
+    sources.push({ type: 'expert_answer', id: expertTip.escalationId });
+  }
+  
+  return {
+    version: adviceSchemaVersion,
+    diagnosis: disease || imageAnalysis?.healthy ? {
+      crop: aiContext.crop || imageAnalysis?.crop || null,
+      disease: disease || null,
+      healthy: !!imageAnalysis?.healthy,
+      severity: imageAnalysis?.severity || null,
+      symptoms: imageAnalysis?.symptoms || [],
+      confidence
+    } : null,
+    treatment,
+    expertAdvice: expertTip ? expertTip.answer : null,
+    recommendations,
+    sources,
+    explanation: buildAdviceExplanation({ nlp, imageAnalysis, aiContext, baseConfidence, confidence, disease })
+  };
+}
+
+// Context-Aware AI Engine
+async function generateAdvice(query, context, farmerHistory) {
+  try {
+    const { nlp, imageAnalysis, crop, location, season, conversation, language = 'en' } = context;
+    
+    // Get farmer's context
+    const farmerProfile = storage.farmers.get(context.farmerId) || {};
+    
+    // The profile fills in what the query leaves out; a farmer growing a
+    // single crop doesn't have to name it every time
+    const profileCrops = farmerProfile.crops || [];
+    const resolvedCrop = crop || nlp?.entities?.crop ||
+      (profileCrops.length === 1 ? profileCrops[0].crop : undefined);
+    const resolvedLocation = location || farmerProfile.location || farmerProfile.district;
+    const planting = profileCrops.find(c => c.crop === resolvedCrop) || null;
+    const diary = plotDiary(farmerProfile.id, planting?.id, planting?.sowingDate);
+    
+    // Build comprehensive context
+    const aiContext = {
+      location: resolvedLocation,
+      crop: resolvedCrop,
+      season: season || getCurrentSeason(farmerProfile.state),
       previousQueries: farmerHistory?.slice(-5) || [],
-      localWeather: await getLocalWeather(location),
-      cropCalendar: getCropCalendar(crop, location)
+      conversation: conversation?.turns?.slice(-5) || [],
+      farmer: {
+        id: farmerProfile.id,
+        state: farmerProfile.state,
+        district: farmerProfile.district,
+        panchayat: farmerProfile.panchayat,
+        landholding: farmerProfile.landholding,
+        planting
+      },
+      localWeather: await getLocalWeather(resolvedLocation),
+      cropCalendar: getCropCalendar(resolvedCrop, { state: farmerProfile.state, sowingDate: planting?.sowingDate }),
+      diary,
+      language
     };
     
+    // A confident photo diagnosis wins over a disease named in the text
+    const diagnosed = imageAnalysis && !imageAnalysis.healthy && imageAnalysis.disease !== 'Unknown condition'
+      ? imageAnalysis.disease
+      : null;
+    const disease = diagnosed || nlp?.entities?.disease || null;
+    // Permitted products first, then whatever the diary says was just applied
+    const treatment = checkTreatmentAgainstDiary(
+      checkTreatmentCompliance(
+        buildTreatmentPlan(aiContext.crop, disease, { severity: imageAnalysis?.severity, season: aiContext.season }),
+        farmerProfile,
+        aiContext
+      ),
+      diary
+    );
+    
     // Generate advice based on intent
     let advice = "";
     let confidence = 0.7;
+    let clarification = null;
     
-    if (imageAnalysis && imageAnalysis.disease !== 'Unknown condition') {
-      advice = await generateDiseaseAdvice(imageAnalysis, aiContext);
+    if (imageAnalysis?.healthy) {
+      advice = `Your ${aiContext.crop || imageAnalysis.crop || 'plant'} looks healthy in this photo. Keep monitoring and send another photo if symptoms appear.`;
+      confidence = imageAnalysis.confidence;
+    } else if (imageAnalysis?.disease && imageAnalysis.disease !== 'Unknown condition') {
+      advice = await generateDiseaseAdvice(imageAnalysis, aiContext, treatment);
       confidence = imageAnalysis.confidence;
     } else if (nlp?.intent) {
-      advice = await generateIntentBasedAdvice(nlp, aiContext);
+      // Ask for whatever the intent needs but neither this turn nor the
+      // conversation so far has told us
+      const missing = findMissingEntities(nlp.intent, {
+        ...nlp.entities,
+        crop: aiContext.crop,
+        location: aiContext.location,
+        commodity: nlp.entities.commodity || commodityForCrop(aiContext.crop)
+      });
+      if (missing.length) {
+        clarification = { missing, question: buildClarifyingQuestion(missing) };
+        advice = clarification.question;
+      } else {
+        advice = await generateIntentBasedAdvice(nlp, aiContext, treatment);
+      }
       confidence = nlp.confidence || 0.7;
     } else {
       advice = "I need more information to help you better. Could you describe your problem or upload a photo?";
       confidence = 0.3;
     }
     
+    const baseConfidence = confidence;
+    let expertTip = null;
+    if (!clarification) {
+      // Kinds of answer farmers rated poorly go to an expert sooner
+      const intent = imageAnalysis?.disease ? 'disease_diagnosis' : nlp?.intent;
+      confidence = Number(Math.min(Math.max(confidence + learnedConfidenceAdjustment(aiContext.crop, intent), 0), 1).toFixed(2));
+      
+      expertTip = rankedExpertAdvice(aiContext.crop, disease)
+        .find(tip => !findRestrictions(tip.answer, farmerProfile.state).some(r => r.status === 'banned')) || null;
+      if (expertTip) {
+        advice += ` Agronomists answering similar questions advised: ${expertTip.answer}`;
+      }
+    }
+    
     // Add contextual recommendations
     const recommendations = await getContextualRecommendations(aiContext);
     
@@ -267,7 +1907,11 @@ async function generateAdvice(query, context, farmerHistory) {
       mainAdvice: advice,
       recommendations,
       confidence,
-      shouldEscalate: confidence < 0.6,
+      clarification,
+      shouldEscalate: !clarification && confidence < 0.6,
+      structured: clarification ? null : buildStructuredAdvice({
+        nlp, imageAnalysis, aiContext, disease, treatment, expertTip, recommendations, baseConfidence, confidence
+      }),
       context: aiContext
     };
   } catch (error) {
@@ -276,17 +1920,20 @@ async function generateAdvice(query, context, farmerHistory) {
   }
 }
 
-async function generateDiseaseAdvice(imageAnalysis, context) {
+async function generateDiseaseAdvice(imageAnalysis, context, treatment) {
   const { disease, severity } = imageAnalysis;
   const { crop, location } = context;
   
-  const cropInfo = cropDatabase[crop];
-  if (!cropInfo) {
-    return Detected ${disease}. General recommendation: Consult with local agricultural officer for crop-specific treatment.;
+  // Never fall back to another disease's treatment
+  if (!treatment) {
+    return `Detected ${disease}. General recommendation: Consult with local agricultural officer for crop-specific treatment.`;
+  }
+  if (!treatment.summary && treatment.diary?.held.length) {
+    return `Detected ${disease} in your ${crop}. ${describeDiaryChecks(treatment)} Keep watching the crop; if symptoms keep spreading, send a new photo.`;
+  }
+  if (!treatment.summary) {
+    return `Detected ${disease} in your ${crop}. None of the usual treatments are permitted for your farm right now - please consult your local agricultural officer.`;
   }
-  
-  const treatment = cropInfo.pesticides[disease.toLowerCase()] || 
-                   cropInfo.pesticides[Object.keys(cropInfo.pesticides)[0]];
   
   let advice = `Detected ${disease} in your ${crop}. `;
   
@@ -294,9 +1941,13 @@ async function generateDiseaseAdvice(imageAnalysis, context) {
     advice += `This is a serious condition requiring immediate attention. `;
   }
   
-  advice += `Recommended treatment: ${treatment}. `;
+  advice += `Recommended treatment: ${treatment.summary}. `;
+  const diaryNotes = describeDiaryChecks(treatment);
+  if (diaryNotes) {
+    advice += `${diaryNotes} `;
+  }
   advice += `Apply during early morning or late evening. `;
-  advice += Ensure proper coverage of affected areas.;
+  advice += `Ensure proper coverage of affected areas.`;
   
   // Add seasonal advice
   if (context.season) {
@@ -306,49 +1957,110 @@ async function generateDiseaseAdvice(imageAnalysis, context) {
   return advice;
 }
 
-async function generateIntentBasedAdvice(nlp, context) {
+async function generateIntentBasedAdvice(nlp, context, treatment) {
   const { intent, entities } = nlp;
   const { crop, location } = context;
   
   switch (intent) {
     case 'disease_diagnosis':
-      return For ${crop} disease issues in ${location}, I recommend uploading a clear photo of the affected plant parts for accurate diagnosis.;
-      
+      // A disease carried over from an earlier turn lets follow-ups such as
+      // "what about the dosage?" get the treatment directly
+      if (treatment?.summary) {
+        return [
+          `For ${entities.disease} in ${crop}, use ${treatment.summary}. Apply during early morning or late evening and repeat only if symptoms persist after 10-15 days.`,
+          describeDiaryChecks(treatment)
+        ].filter(Boolean).join(' ');
+      }
+      if (treatment?.diary?.held.length) {
+        return `${describeDiaryChecks(treatment)} Keep watching the crop; if symptoms keep spreading, send a photo.`;
+      }
+      if (treatment) {
+        return `None of the usual treatments for ${entities.disease} in ${crop} are permitted for your farm right now. Please contact your local Krishi Bhavan.`;
+      }
+      return `For ${crop} disease issues${location ? ` in ${location}` : ''}, I recommend uploading a clear photo of the affected plant parts for accurate diagnosis.`;
+      
     case 'pest_control':
-      const cropInfo = cropDatabase[crop];
+      const cropInfo = getCropInfo(crop);
       if (cropInfo) {
-        return Common pests in ${crop}: ${cropInfo.pests.join(', ')}. Use IPM approach - neem oil spray, yellow sticky traps, and biological control agents.;
+        return `Common pests in ${crop}: ${cropInfo.pests.join(', ')}. Use IPM approach - neem oil spray, yellow sticky traps, and biological control agents.`;
       }
-      return For pest control in ${crop}, use integrated pest management. Upload photos for specific identification.;
+      return `For pest control in ${crop}, use integrated pest management. Upload photos for specific identification.`;
       
     case 'fertilizer_advice':
-      return For ${crop} in ${context.season || 'current season'}, use balanced NPK fertilizer. Soil testing recommended for precise nutrient management.;
+      // The farmer's latest soil test, preferably from the plot this crop is on
+      const planting = context.farmer?.planting;
+      const fertiliserPlan = applyDiaryToFertiliserPlan(
+        recommendFertiliser(crop, latestSoilTest(context.farmer?.id, planting?.id), {
+          areaHectares: plantingAreaInHectares(planting, context.farmer?.landholding),
+          sowingDate: planting?.sowingDate
+        }),
+        context.diary || []
+      );
+      if (fertiliserPlan) {
+        return summariseFertiliserPlan(fertiliserPlan);
+      }
+      return `For ${crop} in ${context.season || 'current season'}, use balanced NPK fertilizer. Soil testing recommended for precise nutrient management.`;
+      
+    case 'market_price':
+      // "trend over the last 6 weeks", "last month"
+      const period = (nlp.translatedText || nlp.originalText || '').toLowerCase().match(/(\d+)\s*(week|month)/);
+      const weeks = period ? Math.min(Number(period[1]) * (period[2] === 'month' ? 4 : 1), 52) || 4 : 4;
+      return describeMarketPrices(entities.commodity || commodityForCrop(crop), entities.market, {
+        weeks,
+        district: context.farmer?.district
+      });
       
     case 'scheme_info':
-      const locationSchemes = schemes[location?.toLowerCase()] || [];
-      return Available schemes: ${locationSchemes.map(s => s.name).join(', ')}. Contact your local Krishi Bhavan for applications.;
+      // The answer to "which district or panchayat?" is a district, not a state
+      const schemeProfile = storage.farmers.get(context.farmer?.id) || context.farmer || {};
+      const place = placeFromText(schemeProfile.district || location);
+      const schemeFarmer = {
+        ...schemeProfile,
+        district: schemeProfile.district || place.district,
+        state: schemeProfile.state || place.state
+      };
+      const schemeResults = schemes.map(scheme => evaluateScheme(scheme, schemeFarmer));
+      const eligibleSchemes = schemeResults.filter(r => r.status === 'eligible').map(r => r.name);
+      const possibleSchemes = schemeResults.filter(r => r.status === 'incomplete');
+      if (!eligibleSchemes.length && !possibleSchemes.length) {
+        return "I could not find a scheme you qualify for. Contact your local Krishi Bhavan for schemes in your area.";
+      }
+      const missingFields = [...new Set(possibleSchemes.flatMap(r => r.missingProfileFields))];
+      return [
+        eligibleSchemes.length ? `You are eligible for: ${eligibleSchemes.join(', ')}.` : null,
+        possibleSchemes.length ? `You may also qualify for ${possibleSchemes.map(r => r.name).join(', ')} - add your ${missingFields.join(', ')} to your profile to check.` : null,
+        "See the schemes section for deadlines and documents, or contact your local Krishi Bhavan for applications."
+      ].filter(Boolean).join(' ');
       
     default:
-      return I understand you're asking about ${crop}. Please provide more specific details or upload photos for better assistance.;
+      return `I understand you're asking about ${crop}. Please provide more specific details or upload photos for better assistance.`;
   }
 }
 
+// Written in context.language; only the calendar task, which comes from the
+// crop files in English, needs the translation engine
 async function getContextualRecommendations(context) {
+  const { language = 'en' } = context;
   const recommendations = [];
   
   // Weather-based recommendations
-  if (context.localWeather?.condition === 'rainy') {
-    recommendations.push("⛈ Heavy rains expected - ensure proper drainage to prevent fungal diseases");
-  }
+  applyWeatherRules(context.localWeather, context).forEach(result => {
+    recommendations.push(result.message);
+  });
   
   // Seasonal recommendations
   if (context.season === 'monsoon') {
-    recommendations.push("🌧 Monsoon season - increase surveillance for disease outbreaks");
+    recommendations.push(localMessage(language, 'season.monsoon'));
   }
   
   // Crop calendar recommendations
-  if (context.cropCalendar?.nextActivity) {
-    recommendations.push(📅 Upcoming: ${context.cropCalendar.nextActivity});
+  const next = context.cropCalendar?.upcoming?.[0];
+  if (next) {
+    const when = next.daysUntil === 0
+      ? localMessage(language, 'calendar.today')
+      : localMessage(language, 'calendar.inDays', { count: next.daysUntil });
+    const task = (await translateText(next.task, 'en', language)).text;
+    recommendations.push(localMessage(language, 'calendar.upcoming', { task, when }));
   }
   
   return recommendations;
@@ -357,7 +2069,7 @@ async function getContextualRecommendations(context) {
 // Learning and Feedback System
 function recordQuery(query, response, feedback = null) {
   const queryRecord = {
-    id: Date.now(),
+    id: crypto.randomUUID(),
     timestamp: new Date().toISOString(),
     query,
     response,
@@ -365,169 +2077,3742 @@ function recordQuery(query, response, feedback = null) {
     farmerId: query.farmerId
   };
   
-  queries.push(queryRecord);
+  storage.queries.insert(queryRecord);
   
   // Update farmer profile
-  if (!farmers.has(query.farmerId)) {
-    farmers.set(query.farmerId, {
-      id: query.farmerId,
-      location: query.location,
-      crops: [],
-      queryHistory: [],
-      joinDate: new Date().toISOString()
-    });
+  if (!storage.farmers.get(query.farmerId)) {
+    storage.farmers.insert(newFarmerProfile(query.farmerId, { location: query.location || null }));
   }
   
-  const farmer = farmers.get(query.farmerId);
-  farmer.queryHistory.push(queryRecord.id);
+  // Crops asked about are remembered without a sowing date until the farmer
+  // fills one in on their profile
+  const farmer = storage.farmers.get(query.farmerId);
+  const crops = query.crop && !farmer.crops.some(c => c.crop === query.crop)
+    ? [...farmer.crops, { id: crypto.randomUUID(), crop: query.crop, variety: null, area: null, sowingDate: null, source: 'query' }]
+    : farmer.crops;
   
-  if (query.crop && !farmer.crops.includes(query.crop)) {
-    farmer.crops.push(query.crop);
-  }
+  storage.farmers.update(query.farmerId, {
+    queryHistory: [...farmer.queryHistory, queryRecord.id],
+    location: farmer.location || query.location || null,
+    crops
+  });
   
-  farmers.set(query.farmerId, farmer);
+  return queryRecord;
+}
+
+/* ---------------------- WEATHER ---------------------- */
+
+// Weather providers return current conditions, the next 24 hours of rain and a
+// 7-day daily forecast for a place name. Open-Meteo needs no API key; the
+// fixture provider reads canned forecasts for offline testing.
+const weatherProviders = {
+  openMeteo: () => createOpenMeteoWeatherProvider(),
+  fixture: () => createFixtureWeatherProvider(process.env.WEATHER_FIXTURES)
+};
+
+const weatherCacheMinutes = parseInt(process.env.WEATHER_CACHE_MINUTES, 10) || 30;
+const weatherCache = new Map();
+
+let weatherProvider = null;
+
+function getWeatherProvider() {
+  if (!weatherProvider) {
+    const name = process.env.WEATHER_PROVIDER || 'openMeteo';
+    if (!weatherProviders[name]) {
+      throw new Error(`Unknown weather provider: ${name}`);
+    }
+    weatherProvider = weatherProviders[name]();
+  }
+  return weatherProvider;
 }
 
-// Utility functions
-function getCurrentSeason() {
-  const month = new Date().getMonth() + 1;
-  if (month >= 6 && month <= 9) return 'monsoon';
-  if (month >= 10 && month <= 2) return 'post-monsoon';
-  return 'pre-monsoon';
+// WMO weather interpretation codes used by Open-Meteo
+function describeWeatherCode(code) {
+  if (code === 0) return 'clear';
+  if (code <= 3) return 'partly cloudy';
+  if (code <= 48) return 'foggy';
+  if (code <= 57) return 'drizzle';
+  if (code <= 67 || (code >= 80 && code <= 82)) return 'rainy';
+  if (code >= 95) return 'thunderstorm';
+  return 'cloudy';
 }
 
-async function getLocalWeather(location) {
-  // Mock weather data
+function createOpenMeteoWeatherProvider() {
+  const getJson = async url => {
+    const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+      throw new Error(`Open-Meteo responded ${response.status}`);
+    }
+    return response.json();
+  };
+
   return {
+    name: 'openMeteo',
+    async getForecast(location) {
+      const geo = await getJson(`https://geocoding-api.open-meteo.com/v1/search?count=1&country=IN&name=${encodeURIComponent(location)}`);
+      const place = geo.results?.[0];
+      if (!place) {
+        throw new Error(`Unknown location: ${location}`);
+      }
+
+      const params = new URLSearchParams({
+        latitude: place.latitude,
+        longitude: place.longitude,
+        current: 'temperature_2m,relative_humidity_2m,precipitation,weather_code,wind_speed_10m',
+        hourly: 'precipitation_probability,precipitation',
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,relative_humidity_2m_mean',
+        forecast_days: '7',
+        timezone: 'Asia/Kolkata'
+      });
+      const data = await getJson(`https://api.open-meteo.com/v1/forecast?${params}`);
+
+      const hourly = data.hourly;
+      const now = new Date(data.current.time);
+      const next24h = hourly.time
+        .map((time, i) => ({ time: new Date(time), probability: hourly.precipitation_probability[i], rain: hourly.precipitation[i] }))
+        .filter(h => h.time >= now && h.time - now < 24 * 3600000);
+
+      return {
+        location: place.name,
+        condition: describeWeatherCode(data.current.weather_code),
+        temperature: data.current.temperature_2m,
+        humidity: data.current.relative_humidity_2m,
+        rainfall: data.current.precipitation,
+        windSpeed: data.current.wind_speed_10m,
+        next24h: {
+          rainProbability: Math.max(0, ...next24h.map(h => h.probability || 0)),
+          rainfall: next24h.reduce((sum, h) => sum + (h.rain || 0), 0)
+        },
+        forecast: data.daily.time.map((date, i) => ({
+          date,
+          condition: describeWeatherCode(data.daily.weather_code[i]),
+          tempMin: data.daily.temperature_2m_min[i],
+          tempMax: data.daily.temperature_2m_max[i],
+          rainfall: data.daily.precipitation_sum[i],
+          rainProbability: data.daily.precipitation_probability_max[i],
+          humidity: data.daily.relative_humidity_2m_mean[i]
+        }))
+      };
+    }
+  };
+}
+
+function createFixtureWeatherProvider(fixturesFile) {
+  // Fixtures are keyed by lower-case place name, with "default" for the rest.
+  // Forecast dates are filled in relative to today so rules see a live week.
+  const fixtures = fixturesFile && fs.existsSync(fixturesFile)
+    ? JSON.parse(fs.readFileSync(fixturesFile, 'utf8'))
+    : {};
+  const defaultFixture = {
     condition: 'partly cloudy',
     temperature: 28,
     humidity: 75,
-    rainfall: 'moderate'
+    rainfall: 0,
+    windSpeed: 8,
+    next24h: { rainProbability: 20, rainfall: 0 },
+    forecast: [
+      { condition: 'partly cloudy', tempMin: 23, tempMax: 31, rainfall: 0, rainProbability: 20, humidity: 74 },
+      { condition: 'partly cloudy', tempMin: 23, tempMax: 32, rainfall: 1, rainProbability: 30, humidity: 76 },
+      { condition: 'rainy', tempMin: 22, tempMax: 29, rainfall: 12, rainProbability: 70, humidity: 86 },
+      { condition: 'rainy', tempMin: 22, tempMax: 28, rainfall: 18, rainProbability: 80, humidity: 88 },
+      { condition: 'partly cloudy', tempMin: 23, tempMax: 30, rainfall: 2, rainProbability: 40, humidity: 80 },
+      { condition: 'clear', tempMin: 23, tempMax: 32, rainfall: 0, rainProbability: 10, humidity: 72 },
+      { condition: 'clear', tempMin: 24, tempMax: 33, rainfall: 0, rainProbability: 10, humidity: 70 }
+    ]
+  };
+
+  return {
+    name: 'fixture',
+    async getForecast(location) {
+      const fixture = fixtures[location.toLowerCase()] || fixtures.default || defaultFixture;
+      const today = new Date();
+      return {
+        ...fixture,
+        location,
+        forecast: fixture.forecast.map((day, i) => ({
+          date: formatDay(new Date(today.getFullYear(), today.getMonth(), today.getDate() + i)),
+          ...day
+        }))
+      };
+    }
   };
 }
 
-function getCropCalendar(crop, location) {
-  const cropInfo = cropDatabase[crop];
+async function getLocalWeather(location) {
+  if (!location) return null;
+
+  const key = location.trim().toLowerCase();
+  const cached = weatherCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < weatherCacheMinutes * 60000) {
+    return cached.weather;
+  }
+
+  try {
+    const provider = getWeatherProvider();
+    const weather = { ...(await provider.getForecast(location.trim())), source: provider.name };
+    weatherCache.set(key, { weather, fetchedAt: Date.now() });
+    return weather;
+  } catch (error) {
+    console.error("Weather lookup error:", error.message);
+    // A stale forecast is better than none when the provider is unreachable
+    return cached ? cached.weather : null;
+  }
+}
+
+// Forecast rules turn the weather into advice for the crop in context. Each
+// rule returns a message in context.language when it applies, or null.
+const weatherRules = [
+  {
+    id: 'rain-no-spray',
+    evaluate: (weather, { crop, language }) => weather.next24h?.rainProbability >= 60 || weather.next24h?.rainfall >= 2
+      ? localMessage(language, crop ? 'weather.rainNoSprayCrop' : 'weather.rainNoSpray', { crop })
+      : null
+  },
+  {
+    id: 'wind-no-spray',
+    evaluate: (weather, { language }) => weather.windSpeed >= 20
+      ? localMessage(language, 'weather.windNoSpray', { speed: Math.round(weather.windSpeed) })
+      : null
+  },
+  {
+    id: 'humidity-fungal-risk',
+    evaluate: (weather, { crop, language }) => {
+      const humidDays = (weather.forecast || []).slice(0, 3).filter(day => day.humidity >= 85).length;
+      if (weather.humidity < 85 && humidDays < 2) return null;
+      const diseases = getCropInfo(crop)?.commonDiseases.slice(0, 2) || [];
+      return diseases.length
+        ? localMessage(language, 'weather.fungalRiskCrop', { crop, diseases })
+        : localMessage(language, 'weather.fungalRisk');
+    }
+  },
+  {
+    id: 'heavy-rain-drainage',
+    evaluate: (weather, { language }) => (weather.forecast || []).slice(0, 3).some(day => day.rainfall >= 50)
+      ? localMessage(language, 'weather.heavyRain')
+      : null
+  },
+  {
+    id: 'heat-stress',
+    evaluate: (weather, { crop, language }) => (weather.forecast || []).slice(0, 3).some(day => day.tempMax >= 35)
+      ? localMessage(language, crop ? 'weather.heatStressCrop' : 'weather.heatStress', { crop, temperature: 35 })
+      : null
+  },
+  {
+    id: 'dry-spell',
+    evaluate: (weather, { diary, language }) => {
+      const forecast = weather.forecast || [];
+      const weekRain = forecast.reduce((sum, day) => sum + (day.rainfall || 0), 0);
+      // No need to say so if the diary shows the plot was just irrigated
+      const irrigated = (diary || []).some(a => a.type === 'irrigation' && Date.now() - new Date(a.date) < 3 * dayMs);
+      return forecast.length >= 7 && weekRain < 5 && !irrigated
+        ? localMessage(language, 'weather.drySpell')
+        : null;
+    }
+  }
+];
+
+function applyWeatherRules(weather, context = {}) {
+  if (!weather) return [];
+  return weatherRules
+    .map(rule => ({ id: rule.id, message: rule.evaluate(weather, context) }))
+    .filter(result => result.message);
+}
+
+/* ---------------------- CROP CALENDAR ---------------------- */
+
+// Seasons by month. States with a different monsoon pattern override the
+// default; Kerala gets both the south-west and north-east monsoons.
+const regionalSeasons = {
+  default: { 'monsoon': [6, 7, 8, 9], 'post-monsoon': [10, 11, 12, 1, 2], 'pre-monsoon': [3, 4, 5] },
+  kerala: { 'monsoon': [6, 7, 8, 9, 10, 11], 'post-monsoon': [12, 1, 2], 'pre-monsoon': [3, 4, 5] },
+  'tamil nadu': { 'monsoon': [10, 11, 12], 'post-monsoon': [1, 2], 'pre-monsoon': [3, 4, 5, 6, 7, 8, 9] }
+};
+
+// How far ahead upcoming activities are listed
+const calendarHorizonDays = 30;
+
+const dayMs = 86400000;
+
+function getCurrentSeason(state, date = new Date()) {
+  const month = date.getMonth() + 1;
+  const seasons = regionalSeasons[(state || '').trim().toLowerCase()] || regionalSeasons.default;
+  return Object.keys(seasons).find(season => seasons[season].includes(month));
+}
+
+// "May-June, Nov-Dec" -> [5, 6, 11, 12]; ranges may wrap past December
+function parseMonthRanges(text) {
+  const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const toMonth = name => monthNames.indexOf(name.trim().slice(0, 3).toLowerCase()) + 1;
+  const months = [];
+  
+  (text || '').split(',').forEach(range => {
+    const [from, to = from] = range.split('-').map(toMonth);
+    if (!from || !to) return;
+    for (let month = from; ; month = month % 12 + 1) {
+      months.push(month);
+      if (month === to) break;
+    }
+  });
+  
+  return months;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// The next dates an activity falls due within the window [from, until]
+function activityDueDates(activity, sowingDate, from, until) {
+  if (activity.months) {
+    const dates = [];
+    for (let offset = 0; offset * 28 <= (until - from) / dayMs; offset++) {
+      const month = new Date(from.getFullYear(), from.getMonth() + offset, 1);
+      if (activity.months.includes(month.getMonth() + 1)) {
+        dates.push(offset === 0 ? from : month);
+      }
+    }
+    return dates.filter(date => date <= until).slice(0, 1);
+  }
+  
+  if (!sowingDate) return [];
+  
+  if (activity.everyDays) {
+    const elapsed = Math.max(0, Math.ceil((from - sowingDate) / dayMs) - (activity.fromDay || 0));
+    const day = (activity.fromDay || 0) + Math.ceil(elapsed / activity.everyDays) * activity.everyDays;
+    const due = new Date(sowingDate.getTime() + day * dayMs);
+    return day <= (activity.untilDay ?? Infinity) && due <= until ? [due] : [];
+  }
+  
+  const due = new Date(sowingDate.getTime() + activity.day * dayMs);
+  return due >= from && due <= until ? [due] : [];
+}
+
+// Growth stage and upcoming activities for one crop. With a sowing date the
+// schedule runs in days after sowing; perennials also follow calendar months.
+// Without one we can only point at the regional sowing window.
+function getCropCalendar(crop, { state, sowingDate } = {}, date = new Date()) {
+  const cropInfo = getCropInfo(crop);
   if (!cropInfo) return null;
   
+  const seasons = cropInfo.seasons.regional?.[(state || '').trim().toLowerCase()] || cropInfo.seasons;
+  const calendar = cropInfo.calendar || { stages: [], activities: [] };
+  const today = startOfDay(date);
+  const until = new Date(today.getTime() + calendarHorizonDays * dayMs);
+  const sown = sowingDate ? startOfDay(new Date(sowingDate)) : null;
+  const daysSinceSowing = sown ? Math.floor((today - sown) / dayMs) : null;
+  
+  let stage = null;
+  if (daysSinceSowing !== null && daysSinceSowing >= 0) {
+    const current = calendar.stages.find(s => s.untilDay === null || daysSinceSowing <= s.untilDay);
+    stage = current ? current.name : 'completed';
+  }
+  
+  const upcoming = [];
+  calendar.activities.forEach(activity => {
+    activityDueDates(activity, sown, today, until).forEach(due => {
+      upcoming.push({
+        type: activity.type,
+        task: activity.task,
+        dueDate: formatDay(due),
+        daysUntil: Math.round((due - today) / dayMs)
+      });
+    });
+  });
+  
+  if (!sown) {
+    const sowingMonths = parseMonthRanges(seasons.plant);
+    const inWindow = sowingMonths.includes(today.getMonth() + 1);
+    const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    if (inWindow || (sowingMonths.includes(nextMonth.getMonth() + 1) && nextMonth <= until)) {
+      const due = inWindow ? today : nextMonth;
+      upcoming.push({
+        type: 'sowing',
+        task: `Sowing window for ${cropInfo.crop} (${seasons.plant})`,
+        dueDate: formatDay(due),
+        daysUntil: Math.round((due - today) / dayMs)
+      });
+    }
+  }
+  
+  upcoming.sort((a, b) => a.daysUntil - b.daysUntil);
+  
+  // Annual crops harvest on a day after sowing; past that day harvest is under way
+  const harvestDay = calendar.activities.find(a => a.type === 'harvest' && Number.isInteger(a.day))?.day;
+  const daysToHarvest = daysSinceSowing !== null && harvestDay !== undefined && daysSinceSowing >= 0 &&
+    daysSinceSowing <= (calendar.durationDays ?? Infinity)
+    ? Math.max(harvestDay - daysSinceSowing, 0)
+    : null;
+  
+  const next = upcoming[0];
   return {
-    plantingSeason: cropInfo.seasons.plant,
-    harvestSeason: cropInfo.seasons.harvest,
-    nextActivity: "Apply fertilizer in 2 weeks"
+    crop: cropInfo.crop,
+    plantingSeason: seasons.plant,
+    harvestSeason: seasons.harvest,
+    sowingDate: sown ? sowingDate : null,
+    daysSinceSowing,
+    daysToHarvest,
+    stage,
+    upcoming,
+    nextActivity: next
+      ? `${next.task} (${next.daysUntil === 0 ? 'today' : `in ${next.daysUntil} day${next.daysUntil === 1 ? '' : 's'}`})`
+      : null
   };
 }
 
-/* ---------------------- API ROUTES ---------------------- */
+/* ---------------------- SOIL HEALTH ---------------------- */
 
-// Main query processing endpoint
-app.post("/api/query", upload.fields([
-  { name: 'image', maxCount: 1 },
-  { name: 'audio', maxCount: 1 }
-]), async (req, res) => {
-  try {
-    const { 
-      queryText = "", 
-      location = "", 
-      crop = "", 
-      farmerId = "anonymous",
-      language = "en",
-      season = ""
-    } = req.body;
-
-    console.log("Processing query:", { queryText, crop, language, farmerId });
-
-    let processedQuery = queryText;
-    let nlpResult = null;
-    let imageAnalysis = null;
-    let voiceResult = null;
-
-    // Process voice input if provided
-    if (req.files?.audio) {
-      voiceResult = await processVoice(req.files.audio[0].path);
-      if (voiceResult.text) {
-        processedQuery = voiceResult.text;
-        language = voiceResult.language || language;
+// Soil health card results, uploaded per farmer and plot as a JSON form or a
+// CSV export, and the fertiliser doses worked out from them. A dose starts from
+// the crop's package-of-practices recommendation, is scaled to the yield the
+// farmer is aiming for, then raised or cut by the soil's rating for that
+// nutrient. Split timings come from the crop file.
+let soilGuide = { ratings: {}, doseAdjustment: {}, targetYieldRange: { min: 1, max: 1 }, acidity: [], micronutrients: {}, fertilisers: {} };
+
+// Labels used on soil health cards and lab reports for each parameter
+const soilParameters = {
+  ph: ['ph', 'soil ph', 'ph value'],
+  ec: ['ec', 'electrical conductivity'],
+  organicCarbon: ['oc', 'organic carbon'],
+  nitrogen: ['n', 'nitrogen'],
+  phosphorus: ['p', 'phosphorus'],
+  potassium: ['k', 'potassium'],
+  sulphur: ['s', 'sulphur', 'sulfur'],
+  zinc: ['zn', 'zinc'],
+  iron: ['fe', 'iron'],
+  copper: ['cu', 'copper'],
+  manganese: ['mn', 'manganese'],
+  boron: ['b', 'boron']
+};
+
+const soilTestFields = {
+  plotId: ['plot', 'plot id', 'plotid'],
+  sampledAt: ['date', 'sampled at', 'sample date', 'sampling date'],
+  lab: ['lab', 'laboratory'],
+  cardNumber: ['card number', 'shc number', 'soil health card number']
+};
+
+function loadSoilGuide() {
+  soilGuide = loadKnowledgeFile('soil.json', knowledgeShape({ ratings: 'map', doseAdjustment: 'map', acidity: 'list', fertilisers: 'map' })) || soilGuide;
+  return soilGuide;
+}
+
+// "Available N (kg/ha)" -> "nitrogen"; units in brackets are ignored
+function soilFieldFor(label) {
+  const key = String(label).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]+/g, ' ').trim().replace(/^available /, '');
+  const match = [...Object.entries(soilParameters), ...Object.entries(soilTestFields)]
+    .find(([field, labels]) => field.toLowerCase() === key.replace(/ /g, '') || labels.includes(key));
+  return match ? match[0] : null;
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+// Raw form fields ({ "N": 240, "plot": "north" }) -> a soil test draft
+function soilTestFromFields(fields) {
+  const draft = { values: {} };
+  Object.entries(fields).forEach(([label, raw]) => {
+    const field = soilFieldFor(label);
+    if (!field || raw === '' || raw === null || raw === undefined) return;
+    if (soilParameters[field]) {
+      draft.values[field] = typeof raw === 'number' || isNaN(Number(raw)) ? raw : Number(raw);
+    } else {
+      draft[field] = String(raw);
+    }
+  });
+  return draft;
+}
+
+// Two layouts are accepted: one test per row with a parameter per column, or
+// the portal's "Parameter,Value,Unit" export describing a single card
+function parseSoilTestCsv(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+  if (rows.length < 2) return [];
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  if (header[0] === 'parameter' && header.includes('value')) {
+    const valueColumn = header.indexOf('value');
+    return [soilTestFromFields(Object.fromEntries(rows.slice(1).map(row => [row[0], row[valueColumn]])))];
+  }
+
+  return rows.slice(1).map(row => soilTestFromFields(Object.fromEntries(rows[0].map((label, i) => [label, row[i]]))));
+}
+
+function validateSoilTest(test) {
+  const errors = [];
+  const values = test.values || {};
+
+  Object.entries(values).forEach(([parameter, value]) => {
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      errors.push(`${parameter} must be a positive number`);
+    }
+  });
+  if (typeof values.ph === 'number' && values.ph > 14) {
+    errors.push('ph must be between 0 and 14');
+  }
+  if (!['ph', 'organicCarbon', 'nitrogen', 'phosphorus', 'potassium'].some(parameter => values[parameter] !== undefined)) {
+    errors.push('At least one of pH, organic carbon, N, P or K is required');
+  }
+  if (test.sampledAt && (isNaN(Date.parse(test.sampledAt)) || formatDay(new Date(test.sampledAt)) > formatDay(new Date()))) {
+    errors.push('sampledAt must be a past date (YYYY-MM-DD)');
+  }
+
+  return errors;
+}
+
+// Low/medium/high for the major nutrients, deficient/sufficient for the rest.
+// Many labs in Kerala report organic carbon instead of available nitrogen, so
+// the nitrogen rating falls back to it.
+function rateSoilTest(values) {
+  const ratings = {};
+
+  Object.entries(soilGuide.ratings).forEach(([parameter, { low, high }]) => {
+    const value = values[parameter];
+    if (value === undefined) return;
+    ratings[parameter] = value < low ? 'low' : value > high ? 'high' : 'medium';
+  });
+  if (!ratings.nitrogen && ratings.organicCarbon) {
+    ratings.nitrogen = ratings.organicCarbon;
+  }
+
+  Object.entries(soilGuide.micronutrients).forEach(([parameter, { critical }]) => {
+    if (values[parameter] === undefined) return;
+    ratings[parameter] = values[parameter] < critical ? 'deficient' : 'sufficient';
+  });
+
+  if (values.ph !== undefined) {
+    ratings.ph = values.ph < 5.5 ? 'strongly acidic'
+      : values.ph < 6.5 ? 'moderately acidic'
+      : values.ph <= 7.5 ? 'neutral'
+      : 'alkaline';
+  }
+
+  return ratings;
+}
+
+function latestSoilTest(farmerId, plotId = null) {
+  if (!farmerId) return null;
+  const tests = storage.soilTests.find(test => test.farmerId === farmerId)
+    .sort((a, b) => new Date(b.sampledAt) - new Date(a.sampledAt));
+  return tests.find(test => plotId && test.plotId === plotId) || tests[0] || null;
+}
+
+// Plots carry their own unit; other plantings are measured like the landholding
+function plantingAreaInHectares(planting, landholding) {
+  const unit = planting?.unit || landholding?.unit;
+  if (!planting?.area || !hectaresPerUnit[unit]) return null;
+  return planting.area * hectaresPerUnit[unit];
+}
+
+// Fertiliser doses and split schedule for a crop. Without a soil test the
+// package-of-practices dose is returned unadjusted.
+function recommendFertiliser(crop, soilTest, { targetYield = null, areaHectares = null, sowingDate = null } = {}, date = new Date()) {
+  const cropInfo = getCropInfo(crop);
+  if (!cropInfo?.nutrients) return null;
+
+  const { nutrients } = cropInfo;
+  const ratings = soilTest?.ratings || {};
+  const soilNutrient = { N: 'nitrogen', P2O5: 'phosphorus', K2O: 'potassium' };
+  const target = targetYield || nutrients.targetYield.value;
+  const { min, max } = soilGuide.targetYieldRange;
+  const yieldFactor = Math.min(Math.max(target / nutrients.targetYield.value, min), max);
+  const round = value => Math.round(value * 10) / 10;
+
+  const dose = {};
+  const adjustments = Object.entries(nutrients.dose).map(([nutrient, recommended]) => {
+    const rating = ratings[soilNutrient[nutrient]] || null;
+    dose[nutrient] = Math.round(recommended * yieldFactor * (soilGuide.doseAdjustment[rating] ?? 1));
+    return { nutrient, soilNutrient: soilNutrient[nutrient], recommended, rating, dose: dose[nutrient] };
+  });
+
+  const toFertilisers = amounts => Object.entries(amounts)
+    .filter(([nutrient, kg]) => kg > 0 && soilGuide.fertilisers[nutrient])
+    .map(([nutrient, kg]) => {
+      const kgPerHa = Math.round(kg * 100 / soilGuide.fertilisers[nutrient].percent);
+      return {
+        nutrient,
+        product: soilGuide.fertilisers[nutrient].name,
+        kgPerHa,
+        kgForPlot: areaHectares ? round(kgPerHa * areaHectares) : null
+      };
+    });
+
+  const today = startOfDay(date);
+  const sown = sowingDate ? startOfDay(new Date(sowingDate)) : null;
+  const schedule = nutrients.splits.map(split => {
+    let dueDate = null;
+    if (Number.isInteger(split.day) && sown) {
+      dueDate = new Date(sown.getTime() + split.day * dayMs);
+    } else if (split.month) {
+      const month = today.getMonth() + 1;
+      dueDate = month === split.month
+        ? today
+        : new Date(today.getFullYear() + (split.month < month ? 1 : 0), split.month - 1, 1);
+    }
+    const amounts = Object.fromEntries(Object.keys(dose).map(nutrient => [nutrient, dose[nutrient] * (split[nutrient] || 0) / 100]));
+    return {
+      label: split.label,
+      day: split.day ?? null,
+      month: split.month ?? null,
+      dueDate: dueDate ? formatDay(dueDate) : null,
+      nutrients: Object.fromEntries(Object.entries(amounts).map(([nutrient, kg]) => [nutrient, round(kg)])),
+      fertilisers: toFertilisers(amounts)
+    };
+  });
+
+  const amendments = [];
+  const liming = soilTest?.values.ph !== undefined && soilGuide.acidity.find(rule => soilTest.values.ph < rule.below);
+  if (liming) {
+    amendments.push({ reason: 'acidity', product: liming.product, kgPerHa: liming.kgPerHa, note: liming.note });
+  }
+  Object.entries(soilGuide.micronutrients).forEach(([parameter, remedy]) => {
+    if (ratings[parameter] !== 'deficient') return;
+    amendments.push({ reason: `${parameter} deficiency`, product: remedy.product, kgPerHa: remedy.kgPerHa, note: null });
+  });
+
+  return {
+    crop: cropInfo.crop,
+    soilTestId: soilTest?.id || null,
+    sampledAt: soilTest?.sampledAt || null,
+    targetYield: { value: target, unit: nutrients.targetYield.unit },
+    areaHectares: areaHectares ? round(areaHectares) : null,
+    ratings,
+    dose,
+    adjustments,
+    fertilisers: toFertilisers(dose),
+    schedule,
+    nextApplication: schedule.find(split => split.dueDate && split.dueDate >= formatDay(today)) || null,
+    amendments,
+    source: soilGuide.source
+  };
+}
+
+function summariseFertiliserPlan(plan) {
+  const listFertilisers = fertilisers => fertilisers
+    .map(f => `${f.product} ${f.kgForPlot ?? f.kgPerHa} kg`)
+    .join(', ');
+  const per = plan.areaHectares ? `for your ${plan.areaHectares} ha` : 'per hectare';
+  const rated = plan.adjustments.filter(a => a.rating).map(a => `${a.soilNutrient} ${a.rating}`);
+  const applied = plan.schedule.filter(split => split.applied);
+  const remaining = plan.schedule.filter(split => !split.applied);
+
+  const parts = [
+    plan.soilTestId
+      ? `Based on your soil test of ${plan.sampledAt}${rated.length ? ` (${rated.join(', ')})` : ''}, ${plan.crop} aiming at ${plan.targetYield.value} ${plan.targetYield.unit} needs ${listFertilisers(plan.fertilisers)} ${per}.`
+      : `For ${plan.crop} aiming at ${plan.targetYield.value} ${plan.targetYield.unit}, the recommended dose is ${listFertilisers(plan.fertilisers)} ${per}.`,
+    applied.length ? `Already applied: ${applied.map(split => `${split.label} (${split.applied.date})`).join(', ')}.` : null,
+    remaining.length ? `${applied.length ? 'Still to apply' : 'Split it as'}: ${remaining.map(split => `${split.label} - ${listFertilisers(split.fertilisers)}`).join('; ')}.` : null,
+    ...(plan.warnings || []),
+    ...plan.amendments.map(a => `${a.note ? `${a.note} ` : ''}Apply ${a.product} ${a.kgPerHa} kg/ha for ${a.reason}.`),
+    plan.soilTestId ? null : 'Get your soil tested at the Krishi Bhavan for a dose matched to your field.'
+  ];
+
+  return parts.filter(Boolean).join(' ');
+}
+
+loadSoilGuide();
+reloadOnChange('soil.json', loadSoilGuide);
+
+/* ---------------------- MARKET PRICES ---------------------- */
+
+// Mandi prices imported from the bulletins markets and VFPCK publish, kept as
+// history per market and commodity. Market and commodity names, with the
+// spellings farmers use, live in knowledge/markets.json; rows for names not
+// listed there are still stored and served by /api/prices, but /api/query
+// only recognises the listed ones.
+let marketGuide = { markets: [], commodities: [] };
+
+// How much a price has to move over the period to count as a trend
+const priceTrendThresholdPercent = 5;
+
+const priceFields = {
+  market: ['market', 'market name', 'mandi'],
+  commodity: ['commodity', 'produce'],
+  variety: ['variety', 'grade'],
+  date: ['date', 'arrival date', 'price date', 'reported date'],
+  minPrice: ['min price', 'minimum price', 'min'],
+  maxPrice: ['max price', 'maximum price', 'max'],
+  modalPrice: ['modal price', 'modal', 'price'],
+  unit: ['unit', 'price unit']
+};
+
+const priceUnits = ['quintal', 'kg'];
+
+function loadMarkets() {
+  marketGuide = loadKnowledgeFile('markets.json', knowledgeShape({ markets: 'list', commodities: 'list' })) || marketGuide;
+  return marketGuide;
+}
+
+// A market or commodity named in a bulletin or a question -> its listed id.
+// Unlisted names are kept, lowercased.
+function resolvePriceName(list, name) {
+  const key = String(name || '').trim().toLowerCase();
+  const entry = list.find(item => [item.id, item.name.toLowerCase(), ...item.aliases].includes(key));
+  return entry ? entry.id : key;
+}
+
+// The longest listed name that appears in the text, so "black pepper" wins over "pepper"
+function findPriceName(list, text) {
+  let found = null;
+  let length = 0;
+  list.forEach(item => {
+    [item.name.toLowerCase(), ...item.aliases].forEach(name => {
+      if (name.length > length && new RegExp(`\\b${escapeRegExp(name)}\\b`).test(text)) {
+        found = item.id;
+        length = name.length;
       }
+    });
+  });
+  return found;
+}
+
+function commodityForCrop(crop) {
+  return marketGuide.commodities.find(commodity => commodity.crop === crop)?.id || null;
+}
+
+function priceLabel(list, id) {
+  return list.find(item => item.id === id)?.name || id;
+}
+
+// "18/10/2026" (as in Agmarknet exports) or any date Date.parse understands
+function parsePriceDate(value) {
+  const dayFirst = String(value || '').trim().match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const date = dayFirst
+    ? new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1]))
+    : new Date(value);
+  return isNaN(date) ? null : formatDay(date);
+}
+
+function priceRowFromFields(fields) {
+  const row = {};
+  Object.entries(fields).forEach(([label, value]) => {
+    const key = String(label).toLowerCase().replace(/_x0020_/g, ' ').replace(/\(.*?\)/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    const field = Object.keys(priceFields).find(name => name.toLowerCase() === key.replace(/ /g, '') || priceFields[name].includes(key));
+    if (field && value !== '' && value !== undefined && value !== null) row[field] = value;
+  });
+  return row;
+}
+
+function parsePriceCsv(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+  return rows.slice(1).map(row => priceRowFromFields(Object.fromEntries(rows[0].map((label, i) => [label, row[i]]))));
+}
+
+// Checks one bulletin row and turns it into a price record
+function normalisePriceRow(row) {
+  const errors = [];
+  const number = value => value === undefined ? null : Number(String(value).replace(/,/g, ''));
+  const [minPrice, maxPrice, modalPrice] = [row.minPrice, row.maxPrice, row.modalPrice].map(number);
+  const date = parsePriceDate(row.date);
+  const unit = (row.unit || '').toLowerCase().replace(/^(rs|₹)\s*\/?\s*/, '') || null;
+
+  if (!row.market || !row.commodity) {
+    errors.push('market and commodity are required');
+  }
+  if (!date || date > formatDay(new Date())) {
+    errors.push('date must be a past date');
+  }
+  if (!(modalPrice > 0)) {
+    errors.push('modalPrice must be a positive number');
+  }
+  if ([minPrice, maxPrice].some(price => price !== null && !(price > 0)) ||
+      (minPrice !== null && maxPrice !== null && minPrice > maxPrice)) {
+    errors.push('minPrice and maxPrice must be positive, with min no more than max');
+  }
+  if (unit && !priceUnits.includes(unit)) {
+    errors.push(`unit must be one of ${priceUnits.join(', ')}`);
+  }
+  if (errors.length) return { errors };
+
+  const commodity = resolvePriceName(marketGuide.commodities, row.commodity);
+  return {
+    errors,
+    price: {
+      market: resolvePriceName(marketGuide.markets, row.market),
+      commodity,
+      variety: row.variety ? String(row.variety).trim() : null,
+      date,
+      minPrice,
+      maxPrice,
+      modalPrice,
+      unit: unit || marketGuide.commodities.find(c => c.id === commodity)?.unit || 'quintal'
+    }
+  };
+}
+
+// Re-importing a bulletin replaces the prices it already delivered
+function importPrices(rows, bulletin) {
+  const summary = { imported: 0, updated: 0, skipped: [] };
+  const importedAt = new Date().toISOString();
+
+  rows.forEach((row, i) => {
+    const { errors, price } = normalisePriceRow(row);
+    if (errors.length) {
+      summary.skipped.push({ row: i + 1, errors });
+      return;
+    }
+    const existing = storage.prices.find(p =>
+      p.market === price.market && p.commodity === price.commodity &&
+      p.variety === price.variety && p.date === price.date
+    )[0];
+    if (existing) {
+      storage.prices.update(existing.id, { ...price, bulletin, importedAt });
+      summary.updated++;
+    } else {
+      storage.prices.insert({ id: crypto.randomUUID(), ...price, bulletin, importedAt });
+      summary.imported++;
+    }
+  });
+
+  return summary;
+}
+
+// Latest price at each market reporting the commodity within the last `days`,
+// highest first
+function latestPricesByMarket(commodity, days = 7, date = new Date()) {
+  const since = formatDay(new Date(startOfDay(date).getTime() - days * dayMs));
+  const latest = new Map();
+  storage.prices.find(p => p.commodity === commodity && p.date >= since).forEach(price => {
+    const current = latest.get(price.market);
+    if (!current || price.date > current.date) latest.set(price.market, price);
+  });
+  return [...latest.values()].sort((a, b) => b.modalPrice - a.modalPrice);
+}
+
+// Weekly average modal prices for one market over the last `weeks`, oldest
+// first, and how much they moved. Only the variety and unit of the latest
+// report are compared.
+function priceTrend(commodity, market, weeks = 4, date = new Date()) {
+  const today = startOfDay(date);
+  const since = formatDay(new Date(today.getTime() - weeks * 7 * dayMs));
+  const reports = storage.prices
+    .find(p => p.commodity === commodity && p.market === market && p.date > since)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  if (!reports.length) return null;
+
+  const latest = reports[0];
+  const comparable = reports.filter(p => p.variety === latest.variety && p.unit === latest.unit);
+  const weekly = [];
+  for (let week = weeks - 1; week >= 0; week--) {
+    const weekEnding = formatDay(new Date(today.getTime() - week * 7 * dayMs));
+    const weekStart = formatDay(new Date(today.getTime() - (week + 1) * 7 * dayMs));
+    const inWeek = comparable.filter(p => p.date > weekStart && p.date <= weekEnding);
+    weekly.push({
+      weekEnding,
+      averageModalPrice: inWeek.length ? Math.round(inWeek.reduce((sum, p) => sum + p.modalPrice, 0) / inWeek.length) : null,
+      reports: inWeek.length
+    });
+  }
+
+  const reported = weekly.filter(w => w.averageModalPrice !== null);
+  const first = reported[0];
+  const last = reported[reported.length - 1];
+  const changePercent = reported.length > 1
+    ? Math.round((last.averageModalPrice - first.averageModalPrice) / first.averageModalPrice * 1000) / 10
+    : null;
+
+  return {
+    commodity,
+    market,
+    variety: latest.variety,
+    unit: latest.unit,
+    latest: { date: latest.date, minPrice: latest.minPrice, maxPrice: latest.maxPrice, modalPrice: latest.modalPrice },
+    weekly,
+    changePercent,
+    direction: changePercent === null ? null
+      : changePercent >= priceTrendThresholdPercent ? 'rising'
+      : changePercent <= -priceTrendThresholdPercent ? 'falling'
+      : 'steady'
+  };
+}
+
+function formatPrice(price, unit) {
+  return `₹${price.toLocaleString('en-IN')}/${unit}`;
+}
+
+// The answer to a price question: today's price, the trend and whether to
+// hold or sell. Without a market, the farmer's district market is used, and
+// failing that prices across markets are compared.
+function describeMarketPrices(commodity, market, { weeks = 4, district = null } = {}) {
+  const name = priceLabel(marketGuide.commodities, commodity);
+  const markets = latestPricesByMarket(commodity);
+  const marketId = market ||
+    marketGuide.markets.find(m => sameText(m.district, district) && markets.some(p => p.market === m.id))?.id;
+
+  if (!marketId) {
+    if (!markets.length) {
+      return `I don't have recent ${name} prices yet. Check with your nearest market or Krishi Bhavan.`;
     }
+    return `Latest ${name} prices: ${markets.slice(0, 3).map(p => `${priceLabel(marketGuide.markets, p.market)} ${formatPrice(p.modalPrice, p.unit)} (${p.date})`).join(', ')}. Tell me a market to see its trend.`;
+  }
+
+  const trend = priceTrend(commodity, marketId, weeks);
+  const marketName = priceLabel(marketGuide.markets, marketId);
+  if (!trend) {
+    return `I don't have ${name} prices from ${marketName} for the last ${weeks} weeks.`;
+  }
 
-    // Process natural language
-    if (processedQuery) {
-      nlpResult = await processNaturalLanguage(processedQuery, language);
+  const { latest, unit } = trend;
+  const parts = [
+    `${name}${trend.variety ? ` (${trend.variety})` : ''} at ${marketName}: ${formatPrice(latest.modalPrice, unit)} on ${latest.date}` +
+      (latest.minPrice && latest.maxPrice ? ` (range ₹${latest.minPrice.toLocaleString('en-IN')}-${latest.maxPrice.toLocaleString('en-IN')}).` : '.')
+  ];
+  if (trend.direction) {
+    const first = trend.weekly.find(w => w.averageModalPrice !== null);
+    parts.push(trend.direction === 'steady'
+      ? `Prices have been steady over the last ${weeks} weeks.`
+      : `Over the last ${weeks} weeks prices ${trend.direction === 'rising' ? 'rose' : 'fell'} ${Math.abs(trend.changePercent)}% from about ${formatPrice(first.averageModalPrice, unit)}.`);
+    if (trend.direction === 'rising') {
+      parts.push('If your produce keeps, holding it a little longer may fetch more.');
+    } else if (trend.direction === 'falling') {
+      parts.push('Selling soon is safer than holding stock.');
     }
+  }
+  const best = markets.find(p => p.unit === unit);
+  if (best && best.market !== marketId && best.modalPrice > latest.modalPrice) {
+    parts.push(`The best price this week was ${formatPrice(best.modalPrice, unit)} at ${priceLabel(marketGuide.markets, best.market)}.`);
+  }
+
+  return parts.join(' ');
+}
+
+loadMarkets();
+reloadOnChange('markets.json', loadMarkets);
+
+/* ---------------------- FARM DIARY ---------------------- */
+
+// Plots a farmer cultivates and a diary of what was done on each: sprays,
+// fertiliser, irrigation, harvests. Each plot with a crop also appears in the
+// farmer's `crops` list under the plot's id, so the calendar, advisories and
+// soil tests treat it like any other planting. Advice reads the diary so it
+// doesn't repeat a spray that was just applied or clash with one.
+const activityTypes = ['sowing', 'spray', 'fertiliser', 'irrigation', 'weeding', 'yield', 'other'];
+const landUnits = Object.keys(hectaresPerUnit);
+
+// How far back the diary is read when there is no sowing date
+const diaryLookbackDays = 120;
+
+// Biocontrol agents are killed by chemical fungicides sprayed shortly before
+const biocontrolWaitDays = 7;
+// Fertilisers lose nitrogen to freshly applied lime
+const limeWaitDays = 14;
+// A split counts as applied if fertiliser went on this close to its due date
+const splitToleranceDays = 15;
+
+function validatePlot(plot) {
+  const errors = [];
+  if (typeof plot.name !== 'string' || !plot.name.trim()) {
+    errors.push('name is required');
+  }
+  if (plot.area !== null && plot.area !== undefined && (typeof plot.area !== 'number' || plot.area <= 0)) {
+    errors.push('area must be a positive number');
+  }
+  if (!landUnits.includes(plot.unit)) {
+    errors.push(`unit must be one of ${landUnits.join(', ')}`);
+  }
+  if (plot.crop !== null && plot.crop !== undefined && (typeof plot.crop !== 'string' || !plot.crop.trim())) {
+    errors.push('crop must be a crop name');
+  }
+  if (plot.sowingDate && isNaN(Date.parse(plot.sowingDate))) {
+    errors.push('sowingDate must be a date (YYYY-MM-DD)');
+  }
+  return errors;
+}
+
+// Keeps the farmer's crop list in step with a plot; a plot left fallow drops out
+function syncPlotPlanting(farmerId, plot, removed = false) {
+  const farmer = storage.farmers.get(farmerId);
+  const others = farmer.crops.filter(c => c.id !== plot.id);
+  const planting = !removed && plot.crop ? {
+    id: plot.id,
+    crop: plot.crop,
+    variety: plot.variety,
+    area: plot.area,
+    unit: plot.unit,
+    sowingDate: plot.sowingDate,
+    source: 'plot'
+  } : null;
+  storage.farmers.update(farmerId, { crops: planting ? [...others, planting] : others });
+}
+
+// "Mancozeb 75 WP", "mancozeb" -> the catalogue entry, if there is one
+function catalogueProductFor(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return null;
+  return Object.values(productCatalogue).find(product =>
+    product.id === key || key.includes(product.name.toLowerCase()) || product.activeIngredient.toLowerCase().startsWith(key)
+  ) || null;
+}
+
+function validateActivity(activity) {
+  const errors = [];
+  if (!activityTypes.includes(activity.type)) {
+    errors.push(`type must be one of ${activityTypes.join(', ')}`);
+  }
+  // Today's date counts as past all day, though as UTC midnight it is still
+  // hours ahead in India
+  if (isNaN(Date.parse(activity.date)) || formatDay(new Date(activity.date)) > formatDay(new Date())) {
+    errors.push('date must be a past date (YYYY-MM-DD)');
+  }
+  if (['spray', 'fertiliser'].includes(activity.type) && (typeof activity.product !== 'string' || !activity.product.trim())) {
+    errors.push(`product is required for a ${activity.type} entry`);
+  }
+  if (activity.quantity !== null && activity.quantity !== undefined) {
+    const { value, unit } = activity.quantity;
+    if (typeof value !== 'number' || value <= 0 || typeof unit !== 'string' || !unit.trim()) {
+      errors.push('quantity must be { value: number, unit }');
+    }
+  } else if (activity.type === 'yield') {
+    errors.push('quantity is required for a yield entry');
+  }
+  return errors;
+}
+
+// Diary entries for a plot this season, newest first
+function plotDiary(farmerId, plotId, sowingDate = null, date = new Date()) {
+  if (!farmerId || !plotId) return [];
+  const since = sowingDate
+    ? formatDay(new Date(sowingDate))
+    : formatDay(new Date(startOfDay(date).getTime() - diaryLookbackDays * dayMs));
+  return storage.activities
+    .find(a => a.farmerId === farmerId && a.plotId === plotId && a.date >= since)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+const addDays = (day, days) => formatDay(new Date(new Date(day).getTime() + days * dayMs));
+
+// Holds back products the diary says were sprayed too recently or too often
+// this season, and biocontrol agents right after a chemical fungicide
+function checkTreatmentAgainstDiary(plan, diary, date = new Date()) {
+  if (!plan || !diary.length) return plan;
+
+  const today = formatDay(date);
+  const sprays = diary.filter(a => a.type === 'spray');
+  const held = [];
+  const warnings = [];
+
+  const products = plan.products.filter(product => {
+    const previous = sprays.filter(a => a.productId === product.productId);
+    const last = previous[0];
+    if (last && product.intervalDays && addDays(last.date, product.intervalDays) > today) {
+      held.push({
+        productId: product.productId,
+        name: product.name,
+        rule: 'interval',
+        detail: `${product.name} was sprayed on ${last.date}; the next spray is not due before ${addDays(last.date, product.intervalDays)}`
+      });
+      return false;
+    }
+    if (product.applications && previous.length >= product.applications) {
+      held.push({
+        productId: product.productId,
+        name: product.name,
+        rule: 'applications',
+        detail: `${product.name} has already been sprayed ${previous.length} times this season, the most recommended`
+      });
+      return false;
+    }
+    const chemical = sprays.find(a => productCatalogue[a.productId]?.type === 'fungicide' && addDays(a.date, biocontrolWaitDays) > today);
+    if (product.type?.startsWith('biological') && chemical) {
+      held.push({
+        productId: product.productId,
+        name: product.name,
+        rule: 'conflict',
+        detail: `${chemical.product} was sprayed on ${chemical.date}; wait until ${addDays(chemical.date, biocontrolWaitDays)} before applying ${product.name}`
+      });
+      return false;
+    }
+    return true;
+  });
+
+  const lastSpray = sprays[0];
+  if (products.length && lastSpray && addDays(lastSpray.date, 3) > today) {
+    warnings.push(`You sprayed ${lastSpray.product} on ${lastSpray.date}. Check whether symptoms are still spreading before spraying again.`);
+  }
+
+  return {
+    ...plan,
+    summary: held.length ? (products.length ? products.map(p => `${p.name} (${p.dose})`).join(' or ') : null) : plan.summary,
+    products,
+    diary: { held, warnings, lastSpray: lastSpray ? { product: lastSpray.product, date: lastSpray.date } : null }
+  };
+}
+
+// The diary checks in words, for the advice text
+function describeDiaryChecks(treatment) {
+  const checks = treatment?.diary;
+  if (!checks) return '';
+  return [...checks.held.map(h => `${h.detail}.`), ...checks.warnings].join(' ');
+}
+
+// Marks fertiliser splits the diary shows were applied, and holds fertiliser
+// for two weeks after liming
+function applyDiaryToFertiliserPlan(plan, diary, date = new Date()) {
+  if (!plan || !diary.length) return plan;
+
+  const today = formatDay(date);
+  const fertiliser = diary.filter(a => a.type === 'fertiliser');
+  const schedule = plan.schedule.map(split => {
+    const applied = split.dueDate && fertiliser.find(a =>
+      !/lime|dolomite/i.test(a.product) &&
+      Math.abs(new Date(a.date) - new Date(split.dueDate)) <= splitToleranceDays * dayMs
+    );
+    return { ...split, applied: applied ? { date: applied.date, product: applied.product } : null };
+  });
+  const liming = fertiliser.find(a => /lime|dolomite/i.test(a.product) && addDays(a.date, limeWaitDays) > today);
+
+  return {
+    ...plan,
+    schedule,
+    nextApplication: schedule.find(split => !split.applied && split.dueDate && split.dueDate >= today) || null,
+    amendments: liming ? plan.amendments.filter(a => a.reason !== 'acidity') : plan.amendments,
+    warnings: liming ? [`You limed on ${liming.date}; wait until ${addDays(liming.date, limeWaitDays)} before applying fertilisers.`] : []
+  };
+}
+
+/* ---------------------- CONVERSATION SESSIONS ---------------------- */
+
+// A session carries resolved entities and the last intent across turns of
+// /api/query, so follow-up questions don't have to repeat the crop or disease.
+const sessionTimeoutMinutes = parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 30;
+
+// Entities each intent needs before it can be answered
+const requiredEntities = {
+  disease_diagnosis: ['crop'],
+  pest_control: ['crop'],
+  fertilizer_advice: ['crop'],
+  scheme_info: ['location'],
+  market_price: ['commodity'],
+  general_query: ['crop']
+};
+
+// Words extractEntities picks up that say nothing about which disease or pest
+const genericEntityWords = ['disease', 'infection', 'pest', 'insect'];
+
+function specificEntity(value) {
+  return value && !genericEntityWords.includes(value) ? value : null;
+}
+
+function getConversationSession(sessionId, farmerId) {
+  const existing = sessionId ? storage.sessions.get(sessionId) : null;
+  const idleMinutes = existing ? (Date.now() - new Date(existing.updatedAt)) / 60000 : Infinity;
+  
+  if (existing && existing.farmerId === farmerId && idleMinutes <= sessionTimeoutMinutes) {
+    return existing;
+  }
+  
+  const now = new Date().toISOString();
+  return storage.sessions.insert({
+    id: crypto.randomUUID(),
+    farmerId,
+    entities: { crop: null, disease: null, pest: null, location: null, market: null, commodity: null },
+    lastIntent: null,
+    pendingQuestion: null,
+    turns: [],
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// Merges what this turn says with what the conversation already established.
+// Values given in this turn always win over carried-forward ones.
+function resolveConversationTurn(session, nlpResult, imageAnalysis, explicit) {
+  const carried = session.entities;
+  const said = nlpResult?.entities || {};
+  const detectedDisease = imageAnalysis?.disease && imageAnalysis.disease !== 'Unknown condition' && !imageAnalysis.healthy
+    ? imageAnalysis.disease
+    : null;
+  
+  // A bare reply to "which district?" is the answer itself; there is no
+  // gazetteer to recognise place names in free text
+  const isReply = !nlpResult?.intent || nlpResult.intent === 'general_query';
+  const repliedLocation = isReply && session.pendingQuestion?.includes('location')
+    ? (nlpResult?.translatedText || nlpResult?.originalText || '').trim()
+    : null;
+  
+  const entities = {
+    ...said,
+    crop: explicit.crop || said.crop || imageAnalysis?.crop || carried.crop,
+    disease: detectedDisease || specificEntity(said.disease) || carried.disease || said.disease,
+    pest: specificEntity(said.pest) || carried.pest || said.pest,
+    location: explicit.location || said.location || repliedLocation || carried.location,
+    market: said.market || carried.market || null,
+    commodity: said.commodity || carried.commodity || null
+  };
+  
+  // Follow-ups without a recognisable intent continue the previous topic, or
+  // the disease or pest the conversation is about
+  const previousIntent = session.lastIntent && session.lastIntent !== 'general_query'
+    ? session.lastIntent
+    : carried.disease ? 'disease_diagnosis' : carried.pest ? 'pest_control' : session.lastIntent;
+  const intent = !isReply ? nlpResult.intent : previousIntent || nlpResult?.intent || null;
+  
+  return {
+    entities,
+    intent,
+    nlp: nlpResult && !nlpResult.error ? { ...nlpResult, entities, intent } : null
+  };
+}
+
+function findMissingEntities(intent, entities) {
+  return (requiredEntities[intent] || []).filter(name => !entities[name]);
+}
+
+function buildClarifyingQuestion(missing) {
+  const questions = {
+    crop: `Which crop are you asking about? For example: ${Object.keys(cropDatabase).slice(0, 4).join(', ')}.`,
+    location: "Which district or panchayat is your farm in?",
+    commodity: `Which produce do you want prices for? For example: ${marketGuide.commodities.slice(0, 4).map(c => c.name.toLowerCase()).join(', ')}.`
+  };
+  return missing.map(name => questions[name] || `Could you tell me the ${name}?`).join(' ');
+}
+
+function recordConversationTurn(session, turn, queryRecord, aiResponse) {
+  return storage.sessions.update(session.id, {
+    entities: {
+      crop: turn.entities.crop || null,
+      disease: specificEntity(turn.entities.disease) || session.entities.disease,
+      pest: specificEntity(turn.entities.pest) || session.entities.pest,
+      location: turn.entities.location || null,
+      market: turn.entities.market || null,
+      commodity: turn.entities.commodity || null
+    },
+    lastIntent: turn.intent || session.lastIntent,
+    pendingQuestion: aiResponse.clarification?.missing || null,
+    turns: [...session.turns, {
+      queryId: queryRecord.id,
+      text: queryRecord.query.queryText,
+      intent: turn.intent,
+      answer: aiResponse.mainAdvice,
+      clarification: aiResponse.clarification?.question || null,
+      at: queryRecord.timestamp
+    }],
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/* ---------------------- ESCALATION WORKFLOW ---------------------- */
+
+// Allowed status changes: open → assigned → answered → closed. An assigned
+// escalation can be handed to another expert, and anything not yet closed can
+// be closed directly (e.g. duplicates).
+const escalationTransitions = {
+  open: ['assigned', 'closed'],
+  assigned: ['assigned', 'answered', 'closed'],
+  answered: ['closed'],
+  closed: []
+};
+
+function findEscalation(id) {
+  return storage.escalations.find(esc => String(esc.id) === String(id))[0] || null;
+}
+
+function transitionEscalation(escalation, nextStatus, actor, changes = {}, note = null) {
+  const allowed = escalationTransitions[escalation.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return { error: `Cannot move escalation from ${escalation.status} to ${nextStatus}` };
+  }
+  
+  const now = new Date().toISOString();
+  return storage.escalations.update(escalation.id, {
+    ...changes,
+    status: nextStatus,
+    updatedAt: now,
+    history: [...(escalation.history || []), { status: nextStatus, by: actor, at: now, note }]
+  });
+}
+
+function filterEscalations(filters) {
+  const matches = (value, wanted) => !wanted || (value || '').toLowerCase() === wanted.toLowerCase();
+  
+  return storage.escalations.find(esc =>
+    matches(esc.priority, filters.priority) &&
+    matches(esc.crop, filters.crop) &&
+    matches(esc.location, filters.location) &&
+    matches(esc.status, filters.status)
+  );
+}
+
+function paginate(items, page, limit) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const totalPages = Math.max(Math.ceil(items.length / pageSize), 1);
+  const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+  const start = (currentPage - 1) * pageSize;
+  
+  return {
+    items: items.slice(start, start + pageSize),
+    pagination: { page: currentPage, limit: pageSize, total: items.length, totalPages }
+  };
+}
+
+/* ---------------------- AUTHENTICATION ---------------------- */
+
+// Farmers sign in with their phone number and a one-time code sent by SMS.
+// Verified logins get an opaque bearer token; only its hash is stored.
+const otpTtlMinutes = 5;
+const otpMaxAttempts = 5;
+const otpResendSeconds = 30;
+// Over a rolling hour per phone number; past either limit no code is sent or
+// accepted until the oldest drops out of the hour
+const otpMaxCodesPerHour = 5;
+const otpMaxFailuresPerHour = 10;
+const authTokenTtlDays = parseInt(process.env.AUTH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Paths under /api that work without a token. Channel and hotline webhooks
+// are checked against the provider's signature or shared secret instead.
+const publicApiPaths = [
+  '/auth/register', '/auth/login', '/auth/verify',
+  '/channels/whatsapp/webhook', '/channels/sms/webhook', '/ivr/events'
+];
+
+const smsProviders = {
+  // Records messages in the smsOutbox collection instead of sending them
+  stub: () => ({
+    name: 'stub',
+    async send(phone, message) {
+      storage.smsOutbox.insert({ id: crypto.randomUUID(), phone, message, sentAt: new Date().toISOString() });
+      console.log(`SMS to ${phone}: ${message}`);
+    }
+  }),
+  // Generic JSON-over-HTTP gateway; most Indian SMS gateways accept this shape
+  http: () => ({
+    name: 'http',
+    async send(phone, message) {
+      const response = await fetch(process.env.SMS_GATEWAY_URL, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          authorization: `Bearer ${process.env.SMS_GATEWAY_KEY || ''}`
+        },
+        body: JSON.stringify({ to: phone, message, sender: process.env.SMS_SENDER_ID || 'KRISHI' })
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded ${response.status}`);
+      }
+    }
+  })
+};
+
+let smsProvider = null;
+
+function getSmsProvider() {
+  if (!smsProvider) {
+    const name = process.env.SMS_PROVIDER || 'stub';
+    if (!smsProviders[name]) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    // The stub would log every login code and send farmers nothing
+    if (name === 'stub' && process.env.NODE_ENV === 'production') {
+      throw new Error("The stub SMS provider sends nothing; set SMS_PROVIDER=http in production");
+    }
+    smsProvider = smsProviders[name]();
+  }
+  return smsProvider;
+}
+
+// Accepts 10-digit Indian mobile numbers or full international numbers
+function normalisePhone(phone) {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+  if (/^[6-9]\d{9}$/.test(digits)) return `+91${digits}`;
+  if (/^\+\d{10,15}$/.test(digits)) return digits;
+  return null;
+}
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Compares a presented secret in constant time. Both sides are hashed first
+// so timingSafeEqual gets equal lengths and the secret's length doesn't leak.
+function secretsMatch(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string' || !expected) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(given), 'hex'), Buffer.from(hashSecret(expected), 'hex'));
+}
+
+function newFarmerProfile(id, fields = {}) {
+  return {
+    id,
+    phone: null,
+    name: null,
+    location: null,
+    state: null,
+    district: null,
+    panchayat: null,
+    landholding: null,
+    category: null,
+    annualIncome: null,
+    farmingPractice: 'conventional',
+    preferredLanguage: null,
+    crops: [],
+    queryHistory: [],
+    notificationPreferences: { enabled: true, mutedTypes: [] },
+    joinDate: new Date().toISOString(),
+    ...fields
+  };
+}
+
+function findFarmerByPhone(phone) {
+  return storage.farmers.find(farmer => farmer.phone === phone)[0] || null;
+}
+
+const withinLastHour = times => (times || []).filter(at => Date.now() - new Date(at) < 3600000);
+
+async function sendOtp(phone, purpose) {
+  const previous = storage.otps.get(phone);
+  if (previous && Date.now() - new Date(previous.createdAt) < otpResendSeconds * 1000) {
+    return { error: `Please wait ${otpResendSeconds} seconds before requesting another code` };
+  }
+  const sentAt = withinLastHour(previous?.sentAt);
+  const failedAt = withinLastHour(previous?.failedAt);
+  if (sentAt.length >= otpMaxCodesPerHour || failedAt.length >= otpMaxFailuresPerHour) {
+    return { error: "Too many codes for this phone number, please try again in an hour" };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const record = {
+    id: phone,
+    codeHash: hashSecret(`${phone}:${code}`),
+    purpose,
+    attempts: 0,
+    sentAt: [...sentAt, new Date().toISOString()],
+    failedAt,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + otpTtlMinutes * 60000).toISOString()
+  };
+  previous ? storage.otps.update(phone, record) : storage.otps.insert(record);
+
+  await getSmsProvider().send(phone, `Your Krishi Mitra code is ${code}. It expires in ${otpTtlMinutes} minutes.`);
+  return { sent: true, expiresInMinutes: otpTtlMinutes };
+}
+
+function checkOtp(phone, code) {
+  const record = storage.otps.get(phone);
+  if (record && withinLastHour(record.failedAt).length >= otpMaxFailuresPerHour) {
+    return { error: "Too many incorrect codes for this phone number, please try again in an hour", locked: true };
+  }
+  if (!record || new Date(record.expiresAt) < new Date()) {
+    return { error: "Code expired or not requested" };
+  }
+  if (record.attempts >= otpMaxAttempts) {
+    return { error: "Too many attempts, request a new code" };
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const given = Buffer.from(hashSecret(`${phone}:${code}`), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    storage.otps.update(phone, {
+      attempts: record.attempts + 1,
+      failedAt: [...withinLastHour(record.failedAt), new Date().toISOString()]
+    });
+    return { error: "Incorrect code" };
+  }
+
+  storage.otps.remove(phone);
+  return { purpose: record.purpose };
+}
+
+// Tokens belong to either a farmer or a staff member
+function issueAuthToken({ farmerId = null, staffId = null }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  storage.authTokens.insert({
+    id: hashSecret(token),
+    farmerId,
+    staffId,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + authTokenTtlDays * 86400000).toISOString()
+  });
+  return token;
+}
+
+function authenticate(req, res, next) {
+  if (publicApiPaths.includes(req.path)) {
+    return next();
+  }
+
+  // Deployment-level admin token for operators and scripts
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken && secretsMatch(req.get('x-admin-token'), adminToken)) {
+    req.auth = { farmerId: null, role: 'admin' };
+    return next();
+  }
+
+  const match = /^Bearer (\S+)$/.exec(req.get('authorization') || '');
+  const tokenHash = match ? hashSecret(match[1]) : null;
+  const record = tokenHash ? storage.authTokens.get(tokenHash) : null;
+  if (!record || new Date(record.expiresAt) < new Date()) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  if (record.staffId) {
+    const member = storage.staff.get(record.staffId);
+    if (!member || !member.active) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    req.auth = {
+      farmerId: null,
+      staffId: member.id,
+      role: member.role,
+      jurisdiction: { district: member.district, panchayat: member.panchayat },
+      tokenHash
+    };
+  } else {
+    req.auth = { farmerId: record.farmerId, role: 'farmer', tokenHash };
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (req.auth?.role !== 'admin') {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
+
+// Routes acting on "my" data need a farmer account behind the token
+function requireFarmer(req, res, next) {
+  if (!req.auth?.farmerId) {
+    return res.status(403).json({ error: "A farmer account is required" });
+  }
+  next();
+}
+
+function publicFarmerProfile(farmer) {
+  const { queryHistory, ...profile } = farmer;
+  return { ...profile, totalQueries: (queryHistory || []).length };
+}
+
+function validateProfileUpdate(changes) {
+  const errors = [];
+
+  ['name', 'location', 'state', 'district', 'panchayat'].forEach(field => {
+    if (changes[field] !== undefined && changes[field] !== null && typeof changes[field] !== 'string') {
+      errors.push(`${field} must be text`);
+    }
+  });
+  if (changes.preferredLanguage !== undefined && !supportedLanguages.includes(changes.preferredLanguage)) {
+    errors.push(`preferredLanguage must be one of ${supportedLanguages.join(', ')}`);
+  }
+  if (changes.landholding !== undefined && changes.landholding !== null) {
+    const { area, unit } = changes.landholding;
+    if (typeof area !== 'number' || area < 0 || !['acre', 'hectare', 'cent'].includes(unit)) {
+      errors.push('landholding must be { area: number, unit: acre | hectare | cent }');
+    }
+  }
+  if (changes.category !== undefined && changes.category !== null && !farmerCategories.includes(changes.category)) {
+    errors.push(`category must be one of ${farmerCategories.join(', ')}`);
+  }
+  if (changes.farmingPractice !== undefined && !farmingPractices.includes(changes.farmingPractice)) {
+    errors.push(`farmingPractice must be one of ${farmingPractices.join(', ')}`);
+  }
+  if (changes.annualIncome !== undefined && changes.annualIncome !== null && (typeof changes.annualIncome !== 'number' || changes.annualIncome < 0)) {
+    errors.push('annualIncome must be a positive number of rupees');
+  }
+
+  return errors;
+}
+
+function validateCropPlanting(planting) {
+  const errors = [];
+  if (typeof planting.crop !== 'string' || !planting.crop.trim()) {
+    errors.push('crop is required');
+  }
+  if (planting.sowingDate && isNaN(Date.parse(planting.sowingDate))) {
+    errors.push('sowingDate must be a date (YYYY-MM-DD)');
+  }
+  if (planting.area !== undefined && planting.area !== null && (typeof planting.area !== 'number' || planting.area < 0)) {
+    errors.push('area must be a positive number');
+  }
+  return errors;
+}
+
+/* ---------------------- ACCESS CONTROL ---------------------- */
+
+// Staff accounts (field officers, agronomists, admins) sign in with the same
+// phone OTP flow as farmers. Their role is read on every request, so changes
+// take effect immediately. Field officers only see their own district, or
+// panchayat when one is set.
+const staffRoles = ['field_officer', 'agronomist', 'admin'];
+
+const rolePermissions = {
+  farmer: [],
+  field_officer: ['escalations:read', 'escalations:assign', 'escalations:close', 'analytics:read'],
+  agronomist: ['escalations:read', 'escalations:answer', 'escalations:close', 'analytics:read', 'knowledge:write'],
+  admin: ['*']
+};
+
+// Which farmer profile fields each role may see on escalations
+const farmerFieldsByRole = {
+  farmer: ['id', 'name', 'location', 'district', 'panchayat', 'crops', 'preferredLanguage'],
+  field_officer: ['id', 'name', 'phone', 'location', 'district', 'panchayat', 'landholding', 'crops', 'preferredLanguage'],
+  agronomist: ['id', 'location', 'district', 'panchayat', 'landholding', 'crops', 'preferredLanguage'],
+  admin: ['id', 'name', 'phone', 'location', 'state', 'district', 'panchayat', 'landholding', 'crops', 'preferredLanguage', 'joinDate']
+};
+
+function hasPermission(auth, permission) {
+  const granted = rolePermissions[auth?.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.auth, permission)) {
+      return res.status(403).json({ error: "You do not have permission to do this" });
+    }
+    next();
+  };
+}
+
+function findStaffByPhone(phone) {
+  return storage.staff.find(member => member.phone === phone && member.active)[0] || null;
+}
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// Does a record with a district/panchayat fall inside the caller's area?
+// Only field officers are limited to a jurisdiction.
+function inJurisdiction(auth, record) {
+  if (auth.role !== 'field_officer') return true;
+  const { district, panchayat } = auth.jurisdiction || {};
+  if (!district) return false;
+  return sameText(record.district, district) && (!panchayat || sameText(record.panchayat, panchayat));
+}
+
+// Farmers see their own escalations; staff see what their role and area allow
+function canSeeEscalation(auth, escalation) {
+  if (auth.role === 'farmer') return escalation.farmerId === auth.farmerId;
+  return hasPermission(auth, 'escalations:read') && inJurisdiction(auth, escalation);
+}
+
+function redactFarmer(farmer, role) {
+  const fields = farmerFieldsByRole[role] || [];
+  return Object.fromEntries(fields.filter(field => farmer?.[field] !== undefined).map(field => [field, farmer[field]]));
+}
+
+function recordAudit(auth, action, targetId, before, after) {
+  return storage.auditLog.insert({
+    id: crypto.randomUUID(),
+    actor: auth.staffId || (auth.role === 'admin' ? 'deployment-admin' : auth.farmerId),
+    actorRole: auth.role,
+    action,
+    targetId,
+    before,
+    after,
+    at: new Date().toISOString()
+  });
+}
+
+function validateStaffMember(member) {
+  const errors = [];
+  if (!staffRoles.includes(member.role)) {
+    errors.push(`role must be one of ${staffRoles.join(', ')}`);
+  }
+  if (member.role === 'field_officer' && !member.district) {
+    errors.push('field officers need a district');
+  }
+  ['name', 'district', 'panchayat'].forEach(field => {
+    if (member[field] !== undefined && member[field] !== null && typeof member[field] !== 'string') {
+      errors.push(`${field} must be text`);
+    }
+  });
+  return errors;
+}
+
+/* ---------------------- PROACTIVE ADVISORIES ---------------------- */
+
+// A periodic job looks at every farmer's crops, location and calendar and
+// writes advisories to the notifications collection, then delivers each one
+// through the configured channel. Keys make the job idempotent: an advisory
+// already raised for the same crop, risk and date is not raised again.
+const advisoryIntervalMinutes = Number(process.env.ADVISORY_INTERVAL_MINUTES ?? 360);
+const advisoryLeadDays = 2;
+const nearbyDiseaseWindowDays = 7;
+const advisoryTypes = ['calendar', 'weather', 'disease'];
+
+const notificationChannels = {
+  // Records deliveries in the notificationOutbox collection instead of sending them
+  outbox: () => ({
+    name: 'outbox',
+    async send(farmer, notification) {
+      storage.notificationOutbox.insert({
+        id: crypto.randomUUID(),
+        notificationId: notification.id,
+        farmerId: farmer.id,
+        phone: farmer.phone,
+        message: notification.message,
+        sentAt: new Date().toISOString()
+      });
+    }
+  }),
+  sms: () => ({
+    name: 'sms',
+    async send(farmer, notification) {
+      if (!farmer.phone) {
+        throw new Error("Farmer has no phone number");
+      }
+      await getSmsProvider().send(farmer.phone, notification.message);
+    }
+  }),
+  // Hands the notification to a push or WhatsApp relay as JSON
+  webhook: () => ({
+    name: 'webhook',
+    async send(farmer, notification) {
+      const response = await fetch(process.env.NOTIFICATION_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ farmerId: farmer.id, phone: farmer.phone, notification })
+      });
+      if (!response.ok) {
+        throw new Error(`Notification webhook responded ${response.status}`);
+      }
+    }
+  })
+};
+
+let notificationChannel = null;
+
+function getNotificationChannel() {
+  if (!notificationChannel) {
+    const name = process.env.NOTIFICATION_CHANNEL || 'outbox';
+    if (!notificationChannels[name]) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+    notificationChannel = notificationChannels[name]();
+  }
+  return notificationChannel;
+}
+
+// Each generator returns { key, message, data } candidates for one farmer
+const advisoryGenerators = {
+  calendar: async (farmer, today) => {
+    const candidates = [];
+    (farmer.crops || []).forEach(planting => {
+      const calendar = getCropCalendar(planting.crop, { state: farmer.state, sowingDate: planting.sowingDate }, today);
+      (calendar?.upcoming || [])
+        .filter(activity => activity.daysUntil <= advisoryLeadDays)
+        .forEach(activity => candidates.push({
+          key: `calendar:${planting.id}:${activity.type}:${activity.dueDate}`,
+          message: `📅 ${planting.crop}: ${activity.task} (due ${activity.dueDate})`,
+          data: { crop: planting.crop, ...activity }
+        }));
+    });
+    return candidates;
+  },
+  
+  weather: async (farmer, today) => {
+    const weather = await getLocalWeather(farmer.location || farmer.district);
+    const crops = (farmer.crops || []).map(planting => planting.crop);
+    const date = formatDay(today);
+    const language = farmer.preferredLanguage || 'en';
+    return applyWeatherRules(weather, { crop: crops.length === 1 ? crops[0] : undefined, language })
+      .map(result => ({
+        key: `weather:${result.id}:${date}`,
+        message: result.message,
+        language,
+        data: { rule: result.id, date }
+      }));
+  },
+  
+  // Diseases other farmers in the same district reported on crops this farmer grows
+  disease: async (farmer, today) => {
+    if (!farmer.district) return [];
+    const crops = (farmer.crops || []).map(planting => planting.crop);
+    const since = new Date(today.getTime() - nearbyDiseaseWindowDays * 86400000);
+    const reports = {};
+    
+    storage.queries.find(q => q.query.disease && q.farmerId !== farmer.id &&
+      crops.includes(q.query.crop) && sameText(q.query.district, farmer.district) &&
+      new Date(q.timestamp) >= since
+    ).forEach(q => {
+      const id = `${q.query.crop}:${q.query.disease.toLowerCase()}`;
+      reports[id] = reports[id] || { crop: q.query.crop, disease: q.query.disease, farmers: new Set() };
+      reports[id].farmers.add(q.farmerId);
+    });
+    
+    const week = Math.floor(today.getTime() / (7 * 86400000));
+    return Object.entries(reports).map(([id, report]) => ({
+      key: `disease:${id}:${week}`,
+      message: `⚠ ${report.farmers.size} farmer${report.farmers.size === 1 ? '' : 's'} near you reported ${report.disease} on ${report.crop} this week. Check your crop and send a photo if you see symptoms.`,
+      data: { crop: report.crop, disease: report.disease, reports: report.farmers.size }
+    }));
+  }
+};
+
+let advisoryJobRunning = false;
+
+async function runAdvisoryJob(today = new Date()) {
+  if (advisoryJobRunning) {
+    return { error: "The advisory job is already running" };
+  }
+  advisoryJobRunning = true;
+  
+  const summary = { farmers: 0, created: 0, delivered: 0, failed: 0 };
+  try {
+    const channel = getNotificationChannel();
+    const farmers = storage.farmers.find(f => f.notificationPreferences?.enabled !== false);
+    
+    for (const farmer of farmers) {
+      summary.farmers++;
+      const muted = farmer.notificationPreferences?.mutedTypes || [];
+      
+      for (const type of advisoryTypes.filter(t => !muted.includes(t))) {
+        const candidates = await advisoryGenerators[type](farmer, today);
+        
+        for (const candidate of candidates) {
+          if (storage.notifications.find(n => n.farmerId === farmer.id && n.key === candidate.key).length) {
+            continue;
+          }
+          
+          const language = farmer.preferredLanguage || 'en';
+          // Generators that write from the message catalogue say which language they used
+          const message = (candidate.language || 'en') === language
+            ? candidate.message
+            : (await translateText(candidate.message, 'en', language)).text;
+          const notification = storage.notifications.insert({
+            id: crypto.randomUUID(),
+            farmerId: farmer.id,
+            type,
+            key: candidate.key,
+            message,
+            data: candidate.data,
+            language,
+            channel: channel.name,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null,
+            deliveryError: null,
+            acknowledgedAt: null
+          });
+          summary.created++;
+          
+          try {
+            await channel.send(farmer, notification);
+            storage.notifications.update(notification.id, { deliveredAt: new Date().toISOString() });
+            summary.delivered++;
+          } catch (error) {
+            console.error("Notification delivery error:", error.message);
+            storage.notifications.update(notification.id, { deliveryError: error.message });
+            summary.failed++;
+          }
+        }
+      }
+    }
+  } finally {
+    advisoryJobRunning = false;
+  }
+  
+  console.log("Advisory job finished:", summary);
+  return summary;
+}
+
+function startAdvisoryScheduler() {
+  if (!(advisoryIntervalMinutes > 0)) return;
+  setInterval(() => {
+    // Re-checking outbreaks here resolves the ones whose reports have aged out
+    detectOutbreaks();
+    runAdvisoryJob().catch(error => console.error("Advisory job error:", error));
+  }, advisoryIntervalMinutes * 60000).unref();
+}
+
+startAdvisoryScheduler();
+
+/* ---------------------- OUTBREAK DETECTION ---------------------- */
+
+// Diagnoses recorded with queries are clustered by district and disease over
+// a rolling window. A cluster is an outbreak when enough distinct farmers
+// report it and the count is well above that district's usual weekly rate
+// for the disease. New outbreaks raise a high-priority escalation that field
+// officers for the district see in their queue.
+const outbreakWindowDays = parseInt(process.env.OUTBREAK_WINDOW_DAYS, 10) || 7;
+const outbreakBaselineWeeks = parseInt(process.env.OUTBREAK_BASELINE_WEEKS, 10) || 4;
+const outbreakMinFarmers = parseInt(process.env.OUTBREAK_MIN_FARMERS, 10) || 3;
+const outbreakBaselineFactor = 2;
+
+function diagnosisReports(since) {
+  const districtOf = {};
+  return storage.queries.find(q => q.query.disease && new Date(q.timestamp) >= since)
+    .map(q => {
+      if (!(q.farmerId in districtOf)) {
+        districtOf[q.farmerId] = storage.farmers.get(q.farmerId)?.district || null;
+      }
+      return {
+        farmerId: q.farmerId,
+        district: (q.query.district || districtOf[q.farmerId] || '').trim().toLowerCase(),
+        crop: q.query.crop || null,
+        disease: q.query.disease.toLowerCase(),
+        at: new Date(q.timestamp)
+      };
+    })
+    .filter(report => report.district);
+}
+
+function detectOutbreaks(now = new Date()) {
+  const windowStart = new Date(now.getTime() - outbreakWindowDays * 86400000);
+  const baselineStart = new Date(windowStart.getTime() - outbreakBaselineWeeks * 7 * 86400000);
+  const clusters = {};
+  
+  diagnosisReports(baselineStart).forEach(report => {
+    const key = `${report.district}:${report.disease}`;
+    const cluster = clusters[key] = clusters[key] || {
+      district: report.district, disease: report.disease, crops: {}, farmers: new Set(), reports: 0, baselineReports: 0
+    };
+    if (report.at >= windowStart) {
+      cluster.reports++;
+      cluster.farmers.add(report.farmerId);
+      if (report.crop) cluster.crops[report.crop] = (cluster.crops[report.crop] || 0) + 1;
+    } else {
+      cluster.baselineReports++;
+    }
+  });
+  
+  const detected = [];
+  Object.values(clusters).forEach(cluster => {
+    const baselineWeekly = cluster.baselineReports / outbreakBaselineWeeks;
+    const expected = baselineWeekly * outbreakWindowDays / 7;
+    if (cluster.farmers.size < outbreakMinFarmers || cluster.reports < expected * outbreakBaselineFactor) return;
+    
+    const crop = Object.entries(cluster.crops).sort(([, a], [, b]) => b - a)[0]?.[0] || null;
+    const figures = {
+      crop,
+      reports: cluster.reports,
+      farmers: cluster.farmers.size,
+      baselineWeekly: Number(baselineWeekly.toFixed(2)),
+      windowStart: windowStart.toISOString(),
+      lastDetectedAt: now.toISOString()
+    };
+    
+    const active = storage.outbreaks.find(o => o.status === 'active' &&
+      o.district === cluster.district && o.disease === cluster.disease)[0];
+    detected.push(active
+      ? storage.outbreaks.update(active.id, figures)
+      : raiseOutbreak({ district: cluster.district, disease: cluster.disease, ...figures }, now));
+  });
+  
+  // Outbreaks that no longer clear the threshold are resolved
+  const stillActive = new Set(detected.map(o => o.id));
+  storage.outbreaks.find(o => o.status === 'active' && !stillActive.has(o.id)).forEach(outbreak => {
+    storage.outbreaks.update(outbreak.id, { status: 'resolved', resolvedAt: now.toISOString() });
+  });
+  
+  return detected;
+}
+
+function raiseOutbreak(figures, now) {
+  const outbreak = storage.outbreaks.insert({
+    id: crypto.randomUUID(),
+    ...figures,
+    status: 'active',
+    firstDetectedAt: now.toISOString(),
+    resolvedAt: null,
+    escalationId: null
+  });
+  
+  const createdAt = now.toISOString();
+  const escalation = storage.escalations.insert({
+    id: crypto.randomUUID(),
+    type: 'outbreak',
+    outbreakId: outbreak.id,
+    queryId: null,
+    farmerId: null,
+    originalQuery: `Possible ${outbreak.disease} outbreak${outbreak.crop ? ` on ${outbreak.crop}` : ''} in ${outbreak.district}: ` +
+      `${outbreak.farmers} farmers reported it in ${outbreakWindowDays} days (usual rate ${outbreak.baselineWeekly} a week)`,
+    location: outbreak.district,
+    district: outbreak.district,
+    panchayat: null,
+    crop: outbreak.crop,
+    language: 'en',
+    priority: 'high',
+    status: 'open',
+    assignedTo: null,
+    expertAnswer: null,
+    closedAt: null,
+    history: [{ status: 'open', by: 'system', at: createdAt, note: 'Raised by outbreak detection' }],
+    createdAt
+  });
+  
+  console.log(`Outbreak detected: ${outbreak.disease} in ${outbreak.district}`);
+  return storage.outbreaks.update(outbreak.id, { escalationId: escalation.id });
+}
+
+// Field officers see outbreaks in their district; other staff see all of them
+function canSeeOutbreak(auth, outbreak) {
+  if (auth.role !== 'field_officer') return true;
+  return sameText(outbreak.district, auth.jurisdiction?.district);
+}
+
+/* ---------------------- LEARNING LOOP ---------------------- */
+
+// A periodic job turns farmer ratings and expert answers into a learned model
+// that sits on top of the hand-written rules:
+// - intent and entity keywords mined from labelled queries (expert labels and
+//   well-rated answers), used when the fixed patterns find nothing
+// - per-crop, per-intent confidence adjustments from average ratings, so
+//   poorly rated kinds of answer reach an expert sooner
+// - expert answers ranked per crop and disease, offered with future advice
+// Each run is stored with a report of what changed since the previous one.
+const learningIntervalHours = Number(process.env.LEARNING_INTERVAL_HOURS ?? 24);
+const learningMinSupport = 3;
+const learningMinPrecision = 0.8;
+
+const learningStopWords = new Set([
+  'the', 'and', 'for', 'are', 'was', 'with', 'this', 'that', 'have', 'has', 'what', 'how', 'why',
+  'when', 'which', 'my', 'our', 'your', 'from', 'there', 'they', 'them', 'about', 'should', 'can',
+  'will', 'not', 'but', 'all', 'any', 'some', 'very', 'also', 'please', 'help', 'plant', 'plants'
+]);
+
+let learnedModel = emptyLearnedModel();
+
+function emptyLearnedModel() {
+  return { version: 0, intentKeywords: {}, entityKeywords: { disease: {}, pest: {} }, adviceRanking: {}, expertAdvice: {} };
+}
+
+function tokenizeForLearning(text) {
+  return [...new Set((text || '').toLowerCase().match(/[a-z]{3,}/g) || [])]
+    .filter(word => !learningStopWords.has(word));
+}
+
+function findQuery(id) {
+  return storage.queries.find(q => String(q.id) === String(id))[0] || null;
+}
+
+// Keywords that point at one label in at least learningMinPrecision of the
+// learningMinSupport or more examples they appear in
+function mineKeywords(examples, known) {
+  const counts = {};
+  examples.forEach(({ text, label }) => {
+    tokenizeForLearning(text).forEach(word => {
+      counts[word] = counts[word] || {};
+      counts[word][label] = (counts[word][label] || 0) + 1;
+    });
+  });
+  
+  const keywords = {};
+  Object.entries(counts).forEach(([word, byLabel]) => {
+    const total = Object.values(byLabel).reduce((sum, n) => sum + n, 0);
+    const [label, n] = Object.entries(byLabel).sort(([, a], [, b]) => b - a)[0];
+    if (total >= learningMinSupport && n / total >= learningMinPrecision && !known.has(word)) {
+      keywords[word] = label;
+    }
+  });
+  return keywords;
+}
+
+function trainLearnedModel() {
+  const queries = storage.queries.all();
+  const textOf = q => q.query.englishText || q.query.queryText;
+  
+  // Expert labels are the strongest signal; a well-rated answer vouches for
+  // the intent and diagnosis the system picked
+  const answered = storage.escalations.find(esc => esc.expertAnswer);
+  const labelled = answered
+    .filter(esc => esc.expertAnswer.labels)
+    .map(esc => ({ text: esc.nlpResult?.translatedText || esc.originalQuery, ...esc.expertAnswer.labels }));
+  const rated = queries.filter(q => typeof q.feedback?.rating === 'number');
+  rated.filter(q => q.feedback.rating >= 4).forEach(q => {
+    labelled.push({ text: textOf(q), intent: q.query.intent, disease: q.query.disease });
+  });
+  
+  const cropNames = Object.values(cropDatabase).flatMap(info => [info.crop, ...(info.aliases || [])]);
+  const knownIntentWords = new Set([...Object.values(intentPatterns).flat(), ...cropNames]);
+  const intentByWord = mineKeywords(
+    labelled.filter(e => e.intent && e.intent !== 'general_query').map(e => ({ text: e.text, label: e.intent })),
+    knownIntentWords
+  );
+  const intentKeywords = {};
+  Object.entries(intentByWord).forEach(([word, intent]) => {
+    intentKeywords[intent] = [...(intentKeywords[intent] || []), word].sort();
+  });
+  
+  const entityKeywords = {};
+  ['disease', 'pest'].forEach(entity => {
+    entityKeywords[entity] = mineKeywords(
+      labelled.filter(e => e[entity]).map(e => ({ text: e.text, label: e[entity].toLowerCase() })),
+      new Set(cropNames)
+    );
+  });
+  
+  // Average rating per crop and intent; only groups with enough ratings move
+  const groups = {};
+  rated.forEach(q => {
+    const key = `${q.query.crop || 'any'}:${q.query.intent || 'general_query'}`;
+    groups[key] = groups[key] || [];
+    groups[key].push(q.feedback.rating);
+  });
+  const adviceRanking = {};
+  Object.entries(groups).forEach(([key, ratings]) => {
+    const average = ratings.reduce((sum, r) => sum + r, 0) / ratings.length;
+    let confidenceAdjustment = 0;
+    if (ratings.length >= learningMinSupport && average < 2.5) confidenceAdjustment = -0.2;
+    if (ratings.length >= learningMinSupport && average >= 4) confidenceAdjustment = 0.05;
+    adviceRanking[key] = { ratings: ratings.length, average: Number(average.toFixed(2)), confidenceAdjustment };
+  });
+  
+  // Expert answers per crop and disease, best rated and then newest first
+  const expertAdvice = {};
+  answered.forEach(esc => {
+    const disease = esc.expertAnswer.labels?.disease || esc.imageAnalysis?.disease || esc.nlpResult?.entities?.disease;
+    if (!esc.crop || !disease) return;
+    const key = `${esc.crop}:${disease.toLowerCase()}`;
+    const rating = esc.queryId !== null ? findQuery(esc.queryId)?.feedback?.rating ?? null : null;
+    expertAdvice[key] = [...(expertAdvice[key] || []), {
+      answer: esc.expertAnswer.answer,
+      escalationId: esc.id,
+      rating,
+      answeredAt: esc.expertAnswer.answeredAt
+    }];
+  });
+  Object.keys(expertAdvice).forEach(key => {
+    expertAdvice[key] = expertAdvice[key]
+      .sort((a, b) => (b.rating ?? 3) - (a.rating ?? 3) || new Date(b.answeredAt) - new Date(a.answeredAt))
+      .slice(0, 3);
+  });
+  
+  return {
+    model: { intentKeywords, entityKeywords, adviceRanking, expertAdvice },
+    inputs: { ratedQueries: rated.length, expertAnswers: answered.length, labelledExamples: labelled.length }
+  };
+}
+
+function diffLearnedModels(before, after) {
+  const changes = [];
+  
+  const intents = new Set([...Object.keys(before.intentKeywords), ...Object.keys(after.intentKeywords)]);
+  intents.forEach(intent => {
+    const was = before.intentKeywords[intent] || [];
+    const now = after.intentKeywords[intent] || [];
+    now.filter(w => !was.includes(w)).forEach(word => changes.push({ kind: 'intentKeyword', change: 'added', intent, word }));
+    was.filter(w => !now.includes(w)).forEach(word => changes.push({ kind: 'intentKeyword', change: 'removed', intent, word }));
+  });
+  
+  ['disease', 'pest'].forEach(entity => {
+    const was = before.entityKeywords[entity] || {};
+    const now = after.entityKeywords[entity] || {};
+    new Set([...Object.keys(was), ...Object.keys(now)]).forEach(word => {
+      if (was[word] === now[word]) return;
+      changes.push({ kind: 'entityKeyword', change: !was[word] ? 'added' : !now[word] ? 'removed' : 'changed', entity, word, from: was[word] || null, to: now[word] || null });
+    });
+  });
+  
+  new Set([...Object.keys(before.adviceRanking), ...Object.keys(after.adviceRanking)]).forEach(key => {
+    const from = before.adviceRanking[key]?.confidenceAdjustment ?? 0;
+    const to = after.adviceRanking[key]?.confidenceAdjustment ?? 0;
+    if (from !== to) {
+      changes.push({ kind: 'confidenceAdjustment', change: 'changed', key, from, to, average: after.adviceRanking[key]?.average ?? null });
+    }
+  });
+  
+  new Set([...Object.keys(before.expertAdvice), ...Object.keys(after.expertAdvice)]).forEach(key => {
+    const from = before.expertAdvice[key]?.[0]?.escalationId ?? null;
+    const to = after.expertAdvice[key]?.[0]?.escalationId ?? null;
+    if (from !== to) {
+      changes.push({ kind: 'expertAdvice', change: from === null ? 'added' : to === null ? 'removed' : 'changed', key, from, to });
+    }
+  });
+  
+  return changes;
+}
+
+function runLearningJob() {
+  const { model, inputs } = trainLearnedModel();
+  const changes = diffLearnedModels(learnedModel, model);
+  const run = storage.learningRuns.insert({
+    id: learnedModel.version + 1,
+    createdAt: new Date().toISOString(),
+    inputs,
+    changes,
+    model
+  });
+  
+  learnedModel = { version: run.id, ...model };
+  console.log(`Learning run ${run.id}: ${changes.length} changes from`, inputs);
+  return run;
+}
+
+function loadLearnedModel() {
+  const latest = storage.learningRuns.all().sort((a, b) => b.id - a.id)[0];
+  if (latest) {
+    learnedModel = { version: latest.id, ...latest.model };
+  }
+}
+
+// Confidence shift for a kind of answer, from how farmers rated it before
+function learnedConfidenceAdjustment(crop, intent) {
+  return (learnedModel.adviceRanking[`${crop || 'any'}:${intent || 'general_query'}`] || {}).confidenceAdjustment || 0;
+}
+
+function rankedExpertAdvice(crop, disease) {
+  if (!crop || !disease) return [];
+  return learnedModel.expertAdvice[`${crop}:${disease.toLowerCase()}`] || [];
+}
+
+loadLearnedModel();
+
+if (learningIntervalHours > 0) {
+  setInterval(() => {
+    try {
+      runLearningJob();
+    } catch (error) {
+      console.error("Learning job error:", error);
+    }
+  }, learningIntervalHours * 3600000).unref();
+}
+
+/* ---------------------- QUERY PIPELINE ---------------------- */
+
+// One farmer question, from whatever arrived (text, photo, voice note) to the
+// reply: speech recognition, NLP, image diagnosis, advice, escalation and
+// translation. The app's /api/query and the messaging channels both use it.
+// Uploaded files are the caller's to clean up.
+async function answerQuery({
+  farmerId,
+  queryText = "",
+  location = "",
+  crop = "",
+  language: requestedLanguage = "",
+  season = "",
+  sessionId = "",
+  clientRequestId = "",
+  imagePath = null,
+  audioPath = null,
+  withAudio = false
+}) {
+  const profile = storage.farmers.get(farmerId) || {};
+  let language = [requestedLanguage, profile.preferredLanguage, "en"]
+    .find(candidate => supportedLanguages.includes(candidate));
+
+  console.log("Processing query:", { queryText, crop, language, farmerId });
+
+  let processedQuery = queryText;
+  let nlpResult = null;
+  let imageAnalysis = null;
+  let voiceResult = null;
+
+  // Process voice input if provided
+  if (audioPath) {
+    voiceResult = await processVoice(audioPath, { language: requestedLanguage });
+    if (voiceResult.text) {
+      processedQuery = voiceResult.text;
+      language = voiceResult.language || language;
+    }
+  }
+
+  // Process natural language
+  if (processedQuery) {
+    nlpResult = await processNaturalLanguage(processedQuery);
+    // A question written in Malayalam or Hindi gets its answer in that language
+    if (nlpResult.language && nlpResult.language !== 'en') {
+      language = nlpResult.language;
+    }
+  }
+
+  // Process image if provided
+  if (imagePath) {
+    imageAnalysis = await analyzeImage(imagePath, crop || nlpResult?.entities?.crop);
+  }
+
+  // Get farmer history
+  const farmerHistory = storage.queries.find(q => q.query.farmerId === farmerId);
+
+  // Fill in what this turn leaves out from the ongoing conversation
+  const session = getConversationSession(sessionId, farmerId);
+  const turn = resolveConversationTurn(session, nlpResult, imageAnalysis, { crop, location });
+
+  // Generate AI advice
+  const aiResponse = await generateAdvice(
+    { queryText: processedQuery, farmerId, crop, location, season },
+    {
+      nlp: turn.nlp,
+      imageAnalysis,
+      crop: turn.entities.crop,
+      location: turn.entities.location,
+      season,
+      farmerId,
+      conversation: session,
+      language
+    },
+    farmerHistory
+  );
+
+  // Record query for learning
+  // Diagnoses are kept with the query so nearby farmers can be warned
+  const reportedDisease = imageAnalysis && !imageAnalysis.healthy && imageAnalysis.disease !== 'Unknown condition'
+    ? imageAnalysis.disease
+    : turn.entities.disease || null;
+  const queryRecord = recordQuery(
+    {
+      queryText: processedQuery,
+      englishText: nlpResult?.translatedText || null,
+      farmerId,
+      intent: turn.intent,
+      crop: turn.entities.crop,
+      disease: reportedDisease,
+      location: turn.entities.location,
+      district: profile.district || null,
+      season,
+      language,
+      sessionId: session.id,
+      clientRequestId: clientRequestId || null
+    },
+    aiResponse
+  );
+  recordConversationTurn(session, turn, queryRecord, aiResponse);
+
+  // A new diagnosis may tip its district into an outbreak
+  if (reportedDisease) {
+    detectOutbreaks();
+  }
+
+  // Determine if escalation is needed
+  let status = aiResponse.clarification ? "needs_clarification" : "answered";
+  if (!aiResponse.clarification && (aiResponse.shouldEscalate || aiResponse.confidence < 0.6)) {
+    status = "escalated";
+    const createdAt = new Date().toISOString();
+    storage.escalations.insert({
+      id: crypto.randomUUID(),
+      queryId: queryRecord.id,
+      farmerId,
+      originalQuery: processedQuery,
+      nlpResult,
+      imageAnalysis,
+      aiResponse,
+      location: turn.entities.location,
+      district: profile.district || null,
+      panchayat: profile.panchayat || null,
+      crop: turn.entities.crop,
+      language,
+      priority: aiResponse.confidence < 0.4 ? 'high' : 'medium',
+      status: 'open',
+      assignedTo: null,
+      expertAnswer: null,
+      closedAt: null,
+      history: [{ status: 'open', by: 'system', at: createdAt }],
+      createdAt
+    });
+  }
+
+  // Advice is generated in English; answer in the farmer's language
+  const localised = await localiseAdvice(aiResponse, language);
+
+  // Spoken answer for farmers who can't read long advice text
+  const speech = withAudio ? await synthesizeSpeech(localised.answer, language) : null;
+
+  const response = {
+    queryId: queryRecord.id,
+    sessionId: session.id,
+    answer: localised.answer,
+    englishAnswer: language === 'en' ? null : aiResponse.mainAdvice,
+    advice: localised.structured,
+    recommendations: localised.recommendations,
+    confidence: aiResponse.confidence,
+    status,
+    clarification: localised.clarification,
+    audioUrl: speech?.audioUrl || null,
+    context: {
+      detectedCrop: aiResponse.context?.crop || turn.entities.crop,
+      detectedDisease: imageAnalysis?.disease || turn.entities.disease,
+      season: aiResponse.context?.season || season || getCurrentSeason(profile.state),
+      language: language
+    },
+    processingDetails: {
+      nlpProcessed: !!nlpResult,
+      imageProcessed: !!imageAnalysis,
+      voiceProcessed: !!voiceResult
+    }
+  };
+
+  storage.queries.update(queryRecord.id, { reply: response });
+  return response;
+}
+
+/* ---------------------- MESSAGING CHANNELS ---------------------- */
+
+// Most farmers never open the app; they message a WhatsApp or SMS number.
+// A channel adapter turns its provider's webhook into plain messages
+// ({ id, from, text, image, audio }), fetches any photo or voice note into
+// uploads/, and sends replies cut to what the channel can carry. Every
+// message in and out is kept in channelMessages. The simulator adapter needs
+// no provider: replies are returned to the caller, shaped as WhatsApp or SMS.
+const enabledChannels = (process.env.MESSAGING_CHANNELS || 'simulator')
+  .split(',').map(name => name.trim()).filter(Boolean);
+
+const whatsappTextLimit = 4096;
+const smsMaxParts = parseInt(process.env.SMS_MAX_PARTS, 10) || 4;
+
+// Basic GSM 03.38 alphabet. An SMS entirely in it holds 160 characters (153
+// per part of a long message); anything else, Malayalam and Hindi included,
+// goes as UCS-2 at 70 (67 per part).
+const gsmAlphabet = "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?¡" +
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+
+// Webhooks are refused while their channel's secret is unset, as anyone could
+// otherwise post messages in a farmer's name
+const channelSecrets = { whatsapp: 'WHATSAPP_APP_SECRET', sms: 'SMS_WEBHOOK_SECRET' };
+
+function checkChannelSecrets() {
+  enabledChannels.filter(name => channelSecrets[name] && !process.env[channelSecrets[name]]).forEach(name => {
+    console.warn(`The ${name} channel is enabled but ${channelSecrets[name]} is not set, so its webhook rejects every request.`);
+  });
+  if (process.env.IVR_ENABLED === 'true' && !process.env.IVR_WEBHOOK_SECRET) {
+    console.warn("The voice hotline is enabled but IVR_WEBHOOK_SECRET is not set, so its webhook rejects every request.");
+  }
+}
+
+const messagingChannels = {
+  simulator: () => ({
+    name: 'simulator',
+    acceptsMedia: true,
+    verifyRequest: () => true,
+    // { from, text, image, audio, style } with media as data: URLs
+    parseInbound(req) {
+      const { id = null, from, text = "", image = null, audio = null } = req.body;
+      return [{ id, from, text, image: image && { dataUrl: image }, audio: audio && { dataUrl: audio } }];
+    },
+    async fetchMedia(media) {
+      const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec(media.dataUrl || '');
+      if (!match) {
+        throw new Error("Media must be a base64 data: URL");
+      }
+      return saveChannelMedia(Buffer.from(match[2], 'base64'));
+    },
+    format: (response, language, { style } = {}) => style === 'sms'
+      ? formatSmsReply(response, language)
+      : formatWhatsAppReply(response, language),
+    async send() {
+      // Replies are only recorded; the simulator route returns them
+    }
+  }),
+  
+  // Meta WhatsApp Cloud API
+  whatsapp: () => {
+    const graphUrl = `https://graph.facebook.com/${process.env.WHATSAPP_API_VERSION || 'v19.0'}`;
+    const headers = { authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN || ''}` };
+    
+    return {
+      name: 'whatsapp',
+      acceptsMedia: true,
+      // Meta signs the raw body with the app secret
+      verifyRequest(req) {
+        const secret = process.env[channelSecrets.whatsapp];
+        if (!secret) return false;
+        const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')}`;
+        return secretsMatch(req.get('x-hub-signature-256'), expected);
+      },
+      parseInbound(req) {
+        const messages = [];
+        (req.body.entry || []).forEach(entry => (entry.changes || []).forEach(change => {
+          (change.value?.messages || []).forEach(message => messages.push({
+            id: message.id,
+            from: `+${message.from}`,
+            text: message.text?.body || message.image?.caption || "",
+            image: message.image ? { id: message.image.id } : null,
+            audio: message.audio ? { id: message.audio.id } : null
+          }));
+        }));
+        return messages;
+      },
+      async fetchMedia(media) {
+        const lookup = await fetch(`${graphUrl}/${media.id}`, { headers });
+        if (!lookup.ok) {
+          throw new Error(`WhatsApp media lookup responded ${lookup.status}`);
+        }
+        const { url } = await lookup.json();
+        const download = await fetch(url, { headers });
+        if (!download.ok) {
+          throw new Error(`WhatsApp media download responded ${download.status}`);
+        }
+        return saveChannelMedia(Buffer.from(await download.arrayBuffer()));
+      },
+      format: formatWhatsAppReply,
+      async send(phone, message) {
+        const body = message.audioUrl
+          ? { type: 'audio', audio: { link: message.audioUrl } }
+          : { type: 'text', text: { body: message.text } };
+        const response = await fetch(`${graphUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+          method: 'POST',
+          headers: { ...headers, 'content-type': 'application/json' },
+          body: JSON.stringify({ messaging_product: 'whatsapp', to: phone.replace(/^\+/, ''), ...body })
+        });
+        if (!response.ok) {
+          throw new Error(`WhatsApp API responded ${response.status}`);
+        }
+      }
+    };
+  },
+  
+  // Inbound SMS from the gateway's forwarding webhook; replies go out through
+  // the same SMS provider as login codes. Field names vary by gateway.
+  sms: () => ({
+    name: 'sms',
+    acceptsMedia: false,
+    verifyRequest(req) {
+      const secret = process.env[channelSecrets.sms];
+      // Header only: a secret in the query string ends up in access logs
+      return secretsMatch(req.get('x-webhook-secret'), secret);
+    },
+    parseInbound(req) {
+      const fields = { ...req.query, ...req.body };
+      return [{
+        id: fields.id || fields.messageId || fields.message_id || null,
+        from: fields.from || fields.sender || fields.msisdn || fields.mobile,
+        text: fields.text || fields.message || fields.body || fields.content || "",
+        image: null,
+        audio: null
+      }];
+    },
+    fetchMedia: async () => {
+      throw new Error("SMS carries no media");
+    },
+    format: formatSmsReply,
+    async send(phone, message) {
+      await getSmsProvider().send(phone, message.text);
+    }
+  })
+};
+
+const messagingChannelInstances = {};
+
+function getMessagingChannel(name) {
+  if (!messagingChannels[name]) {
+    throw new Error(`Unknown messaging channel: ${name}`);
+  }
+  if (!messagingChannelInstances[name]) {
+    messagingChannelInstances[name] = messagingChannels[name]();
+  }
+  return messagingChannelInstances[name];
+}
+
+function saveChannelMedia(buffer) {
+  const filePath = path.join("uploads", `channel-${crypto.randomUUID()}`);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+}
+
+// Splits at the last line break or space that fits, so words stay whole
+function splitText(text, size) {
+  const parts = [];
+  let rest = text.trim();
+  while (rest.length > size) {
+    let cut = Math.max(rest.lastIndexOf('\n', size), rest.lastIndexOf(' ', size));
+    if (cut < size / 2) cut = size;
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  return rest ? [...parts, rest] : parts;
+}
+
+function formatWhatsAppReply(response, language) {
+  const sections = [response.answer];
+  if (response.status === 'escalated') {
+    sections.push(`_${localMessage(language, 'channel.escalated')}_`);
+  }
+  if (response.recommendations?.length) {
+    sections.push(response.recommendations.map(text => `• ${text}`).join('\n'));
+  }
+  
+  const messages = splitText(sections.join('\n\n'), whatsappTextLimit).map(text => ({ text }));
+  if (response.audioUrl && process.env.PUBLIC_BASE_URL) {
+    messages.push({ audioUrl: `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}${response.audioUrl}` });
+  }
+  return messages;
+}
+
+// Emoji would force UCS-2 and cost more parts, so they are dropped. Past
+// smsMaxParts the text is cut; recommendations come last and go first.
+function formatSmsReply(response, language) {
+  const sections = [response.answer];
+  if (response.status === 'escalated') {
+    sections.push(localMessage(language, 'channel.escalated'));
+  }
+  sections.push(...(response.recommendations || []));
+  
+  const text = sections.join(' ')
+    .replace(/\p{Extended_Pictographic}\uFE0F?/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const gsm = [...text].every(char => gsmAlphabet.includes(char));
+  if (text.length <= (gsm ? 160 : 70)) {
+    return [{ text }];
+  }
+  
+  // Room for the "(2/4) " counter in every part
+  const size = (gsm ? 153 : 67) - `(${smsMaxParts}/${smsMaxParts}) `.length;
+  const parts = splitText(text, size);
+  if (parts.length > smsMaxParts) {
+    parts.length = smsMaxParts;
+    parts[smsMaxParts - 1] = `${parts[smsMaxParts - 1].slice(0, size - 3).trimEnd()}...`;
+  }
+  return parts.map((part, i) => ({ text: `(${i + 1}/${parts.length}) ${part}` }));
+}
+
+// Runs one inbound message through the query pipeline and sends the reply.
+// Returns the outgoing messages as recorded.
+async function handleChannelMessage(channel, message, options = {}) {
+  const phone = normalisePhone(message.from);
+  if (!phone) {
+    throw new Error(`Unrecognised sender: ${message.from}`);
+  }
+  // Providers redeliver webhooks they think were missed
+  if (message.id && storage.channelMessages.find(m => m.channel === channel.name && m.providerId === message.id).length) {
+    return [];
+  }
+  
+  // Messaging the number is enough to start; the provider vouches for the phone
+  const farmer = findFarmerByPhone(phone) ||
+    storage.farmers.insert(newFarmerProfile(`farmer_${crypto.randomUUID()}`, { phone }));
+  const previous = storage.channelMessages
+    .find(m => m.channel === channel.name && m.farmerId === farmer.id && m.sessionId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+  
+  const inbound = storage.channelMessages.insert({
+    id: crypto.randomUUID(),
+    channel: channel.name,
+    direction: 'in',
+    providerId: message.id || null,
+    farmerId: farmer.id,
+    phone,
+    text: message.text || "",
+    hasImage: !!message.image,
+    hasAudio: !!message.audio,
+    queryId: null,
+    sessionId: null,
+    createdAt: new Date().toISOString()
+  });
+  
+  const media = [message.image, message.audio].filter(Boolean);
+  const hasContent = inbound.text.trim() || (channel.acceptsMedia && media.length);
+  const files = {};
+  let language = farmer.preferredLanguage || detectLanguage(inbound.text);
+  let replies;
+  
+  try {
+    if (!hasContent) {
+      replies = [{ text: localMessage(language, channel.acceptsMedia ? 'channel.noContent' : 'channel.noText') }];
+    } else {
+      if (channel.acceptsMedia && message.image) files.image = await channel.fetchMedia(message.image);
+      if (channel.acceptsMedia && message.audio) files.audio = await channel.fetchMedia(message.audio);
+      
+      const response = await answerQuery({
+        farmerId: farmer.id,
+        queryText: inbound.text,
+        sessionId: previous?.sessionId,
+        imagePath: files.image || null,
+        audioPath: files.audio || null,
+        // A voice note is answered with one
+        withAudio: !!files.audio
+      });
+      language = response.context.language;
+      storage.channelMessages.update(inbound.id, { queryId: response.queryId, sessionId: response.sessionId });
+      
+      // The first language a farmer writes in becomes their language for advisories
+      if (!farmer.preferredLanguage) {
+        storage.farmers.update(farmer.id, { preferredLanguage: language });
+      }
+      replies = channel.format(response, language, options);
+    }
+  } catch (error) {
+    console.error("Channel message error:", error);
+    replies = [{ text: localMessage(language, 'channel.error') }];
+  } finally {
+    Object.values(files).forEach(file => fs.unlink(file, () => {}));
+  }
+  
+  const sent = [];
+  for (const reply of replies) {
+    const record = storage.channelMessages.insert({
+      id: crypto.randomUUID(),
+      channel: channel.name,
+      direction: 'out',
+      providerId: null,
+      farmerId: farmer.id,
+      phone,
+      text: reply.text || null,
+      audioUrl: reply.audioUrl || null,
+      queryId: storage.channelMessages.get(inbound.id).queryId,
+      sessionId: null,
+      deliveryError: null,
+      createdAt: new Date().toISOString()
+    });
+    try {
+      await channel.send(phone, reply);
+    } catch (error) {
+      console.error("Channel delivery error:", error.message);
+      storage.channelMessages.update(record.id, { deliveryError: error.message });
+    }
+    sent.push(storage.channelMessages.get(record.id));
+  }
+  return sent;
+}
+
+// Providers retry webhooks that are slow to answer, and answering a voice
+// note can take a while, so the webhook is acknowledged first
+async function receiveChannelWebhook(name, req, res) {
+  if (!enabledChannels.includes(name)) {
+    return res.status(404).json({ error: "This channel is not enabled" });
+  }
+  const channel = getMessagingChannel(name);
+  if (!channel.verifyRequest(req)) {
+    return res.status(401).json({ error: "Webhook signature does not match" });
+  }
+  
+  const messages = channel.parseInbound(req);
+  res.json({ received: messages.length });
+  
+  for (const message of messages) {
+    await handleChannelMessage(channel, message).catch(error => console.error("Channel webhook error:", error.message));
+  }
+}
+
+/* ---------------------- VOICE HOTLINE ---------------------- */
+
+// Farmers with basic phones call (or give a missed call to) the hotline. The
+// telephony provider posts call events to one provider-neutral webhook and
+// carries out the actions returned:
+//
+//   events:  call.started { callId, from }, input { callId, digits },
+//            recording { callId, recordingUrl }, call.ended { callId },
+//            missed_call { from }
+//   actions: play { text, language, audioUrl }, gather { numDigits, timeoutSeconds },
+//            record { maxSeconds, finishOnKey }, transfer { to }, callback { to }, hangup
+//
+// A play action always carries its text, so a provider without our audio can
+// speak it with its own TTS. Each call moves through the states below and is
+// kept in the calls collection with every event it saw.
+//
+// The hotline is off unless IVR_ENABLED=true. The provider must send
+// IVR_WEBHOOK_SECRET with every event, and recordings are only downloaded from
+// IVR_RECORDING_ORIGIN (e.g. https://api.exotel.com), or from
+// IVR_RECORDING_STORAGE_ORIGIN when the provider redirects there.
+const callStates = ['language', 'recording', 'answered', 'transferred', 'callback', 'ended'];
+const callEvents = ['call.started', 'input', 'recording', 'call.ended', 'missed_call'];
+
+// Keys as announced in the language menu; Malayalam first for a Kerala line
+const ivrLanguageKeys = { 1: 'ml', 2: 'hi', 3: 'en' };
+const ivrDefaultLanguage = process.env.IVR_DEFAULT_LANGUAGE || 'ml';
+const ivrMaxAttempts = 3;
+const ivrRecordingSeconds = 60;
+const ivrInputTimeoutSeconds = 8;
+
+function spokenText(text) {
+  return (text || '').replace(/\p{Extended_Pictographic}\uFE0F?/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+// Prompts are synthesised once and then served from the audio cache
+async function ivrPlay(language, text) {
+  const spoken = spokenText(text);
+  const speech = await synthesizeSpeech(spoken, language);
+  const audioUrl = speech.audioUrl && process.env.PUBLIC_BASE_URL
+    ? `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}${speech.audioUrl}`
+    : speech.audioUrl || null;
+  return { type: 'play', text: spoken, language, audioUrl };
+}
+
+const ivrSay = (language, key, params) => ivrPlay(language, localMessage(language, key, params));
+
+const ivrGather = () => ({ type: 'gather', numDigits: 1, timeoutSeconds: ivrInputTimeoutSeconds });
+
+async function ivrLanguageMenu() {
+  // Each choice is announced in its own language
+  const choices = await Promise.all(Object.values(ivrLanguageKeys).map(language => ivrSay(language, 'ivr.chooseLanguage')));
+  return [...choices, ivrGather()];
+}
+
+async function ivrAskQuestion(language) {
+  return [
+    await ivrSay(language, 'ivr.askQuestion'),
+    { type: 'record', maxSeconds: ivrRecordingSeconds, finishOnKey: '#' }
+  ];
+}
+
+async function ivrAnswerMenu(call) {
+  const actions = [];
+  if (call.escalated) {
+    actions.push(await ivrSay(call.language, 'ivr.expertOffer'));
+  }
+  actions.push(await ivrSay(call.language, 'ivr.answerMenu'), ivrGather());
+  return actions;
+}
+
+async function ivrGoodbye(language) {
+  return [await ivrSay(language, 'ivr.goodbye'), { type: 'hangup' }];
+}
+
+// Only the provider's own origin is fetched and sent IVR_RECORDING_AUTH;
+// otherwise a recordingUrl could point the server at any address. One redirect
+// is followed, and only to that origin or to IVR_RECORDING_STORAGE_ORIGIN (where
+// some providers keep the audio), which is not sent the credentials.
+async function fetchRecording(recordingUrl) {
+  const dataUrl = /^data:[\w/+.-]+;base64,(.+)$/s.exec(recordingUrl);
+  if (dataUrl) {
+    return saveChannelMedia(Buffer.from(dataUrl[1], 'base64'));
+  }
+  const parseUrl = value => {
+    try {
+      return new URL(value);
+    } catch (error) {
+      return null;
+    }
+  };
+  const url = parseUrl(recordingUrl);
+  const origin = parseUrl(process.env.IVR_RECORDING_ORIGIN);
+  const storageOrigin = parseUrl(process.env.IVR_RECORDING_STORAGE_ORIGIN);
+  if (!url || !origin || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin.origin) {
+    throw new Error(`Recording is not on IVR_RECORDING_ORIGIN: ${url ? url.origin : 'not a URL'}`);
+  }
+  const auth = process.env.IVR_RECORDING_AUTH ? { authorization: process.env.IVR_RECORDING_AUTH } : {};
+  let response = await fetch(url, { headers: auth, redirect: 'manual' });
+  const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+  if (location) {
+    const target = new URL(location, url);
+    if (target.origin === origin.origin) {
+      response = await fetch(target, { headers: auth, redirect: 'manual' });
+    } else if (storageOrigin && target.origin === storageOrigin.origin) {
+      response = await fetch(target, { redirect: 'manual' });
+    } else {
+      throw new Error(`Recording redirects off IVR_RECORDING_ORIGIN and IVR_RECORDING_STORAGE_ORIGIN: ${target.origin}`);
+    }
+  }
+  if (!response.ok) {
+    throw new Error(`Recording download responded ${response.status}`);
+  }
+  return saveChannelMedia(Buffer.from(await response.arrayBuffer()));
+}
+
+// Transcribes the question, answers it through the query pipeline and reads
+// the answer out. An answer the pipeline escalated offers a transfer.
+async function answerRecordedQuestion(call, recordingUrl) {
+  let recordingPath = null;
+  try {
+    recordingPath = await fetchRecording(recordingUrl);
+    const voice = await processVoice(recordingPath, { language: call.language });
+    if (voice.error || !voice.text?.trim()) {
+      const attempts = call.attempts + 1;
+      if (attempts >= ivrMaxAttempts) {
+        return { changes: { state: 'ended', attempts }, actions: await ivrGoodbye(call.language) };
+      }
+      return {
+        changes: { attempts },
+        actions: [await ivrSay(call.language, 'ivr.notHeard'), ...await ivrAskQuestion(call.language)]
+      };
+    }
+    
+    const response = await answerQuery({
+      farmerId: call.farmerId,
+      queryText: voice.text,
+      language: call.language,
+      sessionId: call.sessionId
+    });
+    // Read out in the language the answer came back in, which follows the
+    // language the question was spoken in
+    const answer = await ivrPlay(response.context.language, response.answer);
+    const changes = {
+      state: 'answered',
+      attempts: 0,
+      sessionId: response.sessionId,
+      queryIds: [...call.queryIds, response.queryId],
+      escalated: response.status === 'escalated',
+      lastAnswer: answer
+    };
+    return { changes, actions: [answer, ...await ivrAnswerMenu({ ...call, ...changes })] };
+  } catch (error) {
+    console.error("Hotline answer error:", error);
+    return { changes: { state: 'ended' }, actions: [await ivrSay(call.language, 'ivr.error'), { type: 'hangup' }] };
+  } finally {
+    if (recordingPath) fs.unlink(recordingPath, () => {});
+  }
+}
+
+async function handleAnswerMenu(call, digits) {
+  if (digits === '1') {
+    return { changes: { state: 'recording', attempts: 0 }, actions: await ivrAskQuestion(call.language) };
+  }
+  if (digits === '2') {
+    return { changes: { attempts: 0 }, actions: [call.lastAnswer, ...await ivrAnswerMenu(call)] };
+  }
+  if (digits === '3') {
+    return { changes: { state: 'ended' }, actions: await ivrGoodbye(call.language) };
+  }
+  if (digits === '0' && call.escalated) {
+    // The escalation is already open; without a live expert line an officer
+    // picks it up from the queue and calls back
+    const expertLine = process.env.EXPERT_HOTLINE_NUMBER;
+    if (!expertLine) {
+      return {
+        changes: { state: 'ended' },
+        actions: [await ivrSay(call.language, 'ivr.expertCallback'), ...await ivrGoodbye(call.language)]
+      };
+    }
+    return {
+      changes: { state: 'transferred', transferredTo: expertLine },
+      actions: [await ivrSay(call.language, 'ivr.transferring'), { type: 'transfer', to: expertLine }]
+    };
+  }
+  
+  const attempts = call.attempts + 1;
+  if (attempts >= ivrMaxAttempts) {
+    return { changes: { state: 'ended', attempts }, actions: await ivrGoodbye(call.language) };
+  }
+  return {
+    changes: { attempts },
+    actions: [await ivrSay(call.language, 'ivr.invalid'), ...await ivrAnswerMenu(call)]
+  };
+}
+
+async function handleLanguageMenu(call, digits) {
+  const chosen = ivrLanguageKeys[digits];
+  const attempts = call.attempts + 1;
+  if (!chosen && attempts < ivrMaxAttempts) {
+    return { changes: { attempts }, actions: await ivrLanguageMenu() };
+  }
+  
+  const language = chosen || ivrDefaultLanguage;
+  const farmer = storage.farmers.get(call.farmerId);
+  if (chosen && !farmer.preferredLanguage) {
+    storage.farmers.update(farmer.id, { preferredLanguage: language });
+  }
+  return { changes: { state: 'recording', language, attempts: 0 }, actions: await ivrAskQuestion(language) };
+}
+
+async function startCall(event) {
+  const phone = normalisePhone(event.from);
+  if (!phone) {
+    return { error: `Unrecognised caller: ${event.from}` };
+  }
+  // Like messaging, calling the hotline is enough to get a profile
+  const farmer = findFarmerByPhone(phone) ||
+    storage.farmers.insert(newFarmerProfile(`farmer_${crypto.randomUUID()}`, { phone }));
+  const now = new Date().toISOString();
+  const call = storage.calls.insert({
+    id: event.callId || crypto.randomUUID(),
+    phone,
+    farmerId: farmer.id,
+    state: farmer.preferredLanguage ? 'recording' : 'language',
+    language: farmer.preferredLanguage || ivrDefaultLanguage,
+    attempts: 0,
+    sessionId: null,
+    queryIds: [],
+    escalated: false,
+    lastAnswer: null,
+    transferredTo: null,
+    events: [],
+    startedAt: now,
+    endedAt: null
+  });
+  
+  if (event.event === 'missed_call') {
+    // Missed calls cost the farmer nothing; the provider rings them back and
+    // that call starts the flow as usual
+    storage.calls.update(call.id, { state: 'callback', endedAt: now });
+    return { call, actions: [{ type: 'hangup' }, { type: 'callback', to: phone }] };
+  }
+  
+  const actions = farmer.preferredLanguage
+    ? [await ivrSay(call.language, 'ivr.welcome'), ...await ivrAskQuestion(call.language)]
+    : [await ivrSay(ivrDefaultLanguage, 'ivr.welcome'), ...await ivrLanguageMenu()];
+  return { call, actions };
+}
+
+// Moves a call one step through the flow; returns { call, actions } or { error }
+async function handleCallEvent(event) {
+  if (!callEvents.includes(event.event)) {
+    return { error: `event must be one of ${callEvents.join(', ')}` };
+  }
+  if (['call.started', 'missed_call'].includes(event.event)) {
+    if (event.callId && storage.calls.get(event.callId)) {
+      return { error: "This call has already started" };
+    }
+    const started = await startCall(event);
+    if (started.error) return started;
+    return { call: recordCallEvent(started.call.id, event, {}), actions: started.actions };
+  }
+  
+  const call = storage.calls.get(event.callId);
+  if (!call) {
+    return { error: "Unknown call" };
+  }
+  
+  let step = { changes: {}, actions: [] };
+  if (event.event === 'call.ended') {
+    step.changes = { state: 'ended' };
+  } else if (call.state === 'language' && event.event === 'input') {
+    step = await handleLanguageMenu(call, String(event.digits ?? ''));
+  } else if (call.state === 'recording' && event.event === 'recording') {
+    step = await answerRecordedQuestion(call, event.recordingUrl || '');
+  } else if (call.state === 'answered' && event.event === 'input') {
+    step = await handleAnswerMenu(call, String(event.digits ?? ''));
+  } else if (call.state !== 'ended') {
+    return { error: `Unexpected ${event.event} event while the call is in ${call.state}` };
+  }
+  
+  if (step.changes.state === 'ended' && !call.endedAt) {
+    step.changes.endedAt = new Date().toISOString();
+  }
+  return { call: recordCallEvent(call.id, event, step.changes), actions: step.actions };
+}
+
+function recordCallEvent(callId, event, changes) {
+  const call = storage.calls.get(callId);
+  const entry = { event: event.event, digits: event.digits ?? null, at: new Date().toISOString() };
+  return storage.calls.update(callId, { ...changes, events: [...call.events, entry] });
+}
+
+/* ---------------------- API ROUTES ---------------------- */
+
+// Every /api route needs a bearer token except signing in
+app.use("/api", authenticate);
+
+// Registration and login share one OTP flow: request a code, then verify it
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const phone = normalisePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: "A valid phone number is required" });
+    }
+    if (findFarmerByPhone(phone) || findStaffByPhone(phone)) {
+      return res.status(409).json({ error: "This phone number is already registered, please log in" });
+    }
+
+    const result = await sendOtp(phone, 'register');
+    if (result.error) {
+      return res.status(429).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Registration error:", error);
+    res.status(500).json({ error: "Failed to send verification code" });
+  }
+});
+
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const phone = normalisePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: "A valid phone number is required" });
+    }
+    if (!findFarmerByPhone(phone) && !findStaffByPhone(phone)) {
+      return res.status(404).json({ error: "No account for this phone number, please register" });
+    }
+
+    const result = await sendOtp(phone, 'login');
+    if (result.error) {
+      return res.status(429).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ error: "Failed to send verification code" });
+  }
+});
+
+app.post("/api/auth/verify", (req, res) => {
+  try {
+    const phone = normalisePhone(req.body.phone);
+    const { otp, name = null, preferredLanguage = null } = req.body;
+    if (!phone || !otp) {
+      return res.status(400).json({ error: "phone and otp are required" });
+    }
+
+    const check = checkOtp(phone, String(otp));
+    if (check.error) {
+      return res.status(check.locked ? 429 : 401).json({ error: check.error });
+    }
+
+    const staffMember = findStaffByPhone(phone);
+    if (staffMember) {
+      return res.json({
+        token: issueAuthToken({ staffId: staffMember.id }),
+        expiresInDays: authTokenTtlDays,
+        staff: staffMember
+      });
+    }
+    
+    let farmer = findFarmerByPhone(phone);
+    if (!farmer) {
+      farmer = storage.farmers.insert(newFarmerProfile(`farmer_${crypto.randomUUID()}`, {
+        phone,
+        name,
+        preferredLanguage: supportedLanguages.includes(preferredLanguage) ? preferredLanguage : null
+      }));
+    }
+
+    res.json({
+      token: issueAuthToken({ farmerId: farmer.id }),
+      expiresInDays: authTokenTtlDays,
+      farmer: publicFarmerProfile(farmer)
+    });
+  } catch (error) {
+    console.error("OTP verification error:", error);
+    res.status(500).json({ error: "Failed to verify code" });
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  if (req.auth.tokenHash) {
+    storage.authTokens.remove(req.auth.tokenHash);
+  }
+  res.json({ message: "Logged out" });
+});
+
+// Farmer profile
+app.get("/api/farmers/me", requireFarmer, (req, res) => {
+  const farmer = storage.farmers.get(req.auth.farmerId);
+  if (!farmer) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  res.json({ farmer: publicFarmerProfile(farmer) });
+});
+
+app.put("/api/farmers/me", requireFarmer, (req, res) => {
+  try {
+    const editable = ['name', 'location', 'state', 'district', 'panchayat', 'landholding', 'category', 'annualIncome', 'farmingPractice', 'preferredLanguage'];
+    const changes = Object.fromEntries(Object.entries(req.body).filter(([key]) => editable.includes(key)));
+
+    const errors = validateProfileUpdate(changes);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid profile", errors });
+    }
+
+    const farmer = storage.farmers.update(req.auth.farmerId, changes);
+    if (!farmer) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    res.json({ farmer: publicFarmerProfile(farmer) });
+  } catch (error) {
+    console.error("Profile update error:", error);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+app.post("/api/farmers/me/crops", requireFarmer, (req, res) => {
+  try {
+    const { crop, variety = null, area = null, sowingDate = null } = req.body;
+    const errors = validateCropPlanting({ crop, area, sowingDate });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid crop", errors });
+    }
+
+    const farmer = storage.farmers.get(req.auth.farmerId);
+    const planting = {
+      id: crypto.randomUUID(),
+      crop: crop.trim().toLowerCase(),
+      variety,
+      area,
+      sowingDate,
+      source: 'profile'
+    };
+    storage.farmers.update(farmer.id, { crops: [...farmer.crops, planting] });
+    res.status(201).json({ crop: planting });
+  } catch (error) {
+    console.error("Crop add error:", error);
+    res.status(500).json({ error: "Failed to add crop" });
+  }
+});
+
+app.put("/api/farmers/me/crops/:cropId", requireFarmer, (req, res) => {
+  try {
+    const farmer = storage.farmers.get(req.auth.farmerId);
+    const current = farmer.crops.find(c => c.id === req.params.cropId);
+    if (!current) {
+      return res.status(404).json({ error: "Crop not found" });
+    }
+
+    const planting = { ...current, source: 'profile' };
+    ['crop', 'variety', 'area', 'sowingDate'].forEach(field => {
+      if (req.body[field] !== undefined) planting[field] = req.body[field];
+    });
+    const errors = validateCropPlanting(planting);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid crop", errors });
+    }
+
+    planting.crop = planting.crop.trim().toLowerCase();
+    storage.farmers.update(farmer.id, {
+      crops: farmer.crops.map(c => c.id === current.id ? planting : c)
+    });
+    if (storage.plots.get(current.id)) {
+      const { crop, variety, area, sowingDate } = planting;
+      storage.plots.update(current.id, { crop, variety, area, sowingDate, updatedAt: new Date().toISOString() });
+    }
+    res.json({ crop: planting });
+  } catch (error) {
+    console.error("Crop update error:", error);
+    res.status(500).json({ error: "Failed to update crop" });
+  }
+});
+
+app.delete("/api/farmers/me/crops/:cropId", requireFarmer, (req, res) => {
+  const farmer = storage.farmers.get(req.auth.farmerId);
+  if (!farmer.crops.some(c => c.id === req.params.cropId)) {
+    return res.status(404).json({ error: "Crop not found" });
+  }
+  storage.farmers.update(farmer.id, { crops: farmer.crops.filter(c => c.id !== req.params.cropId) });
+  // The plot itself stays, left fallow
+  if (storage.plots.get(req.params.cropId)) {
+    storage.plots.update(req.params.cropId, { crop: null, variety: null, sowingDate: null, updatedAt: new Date().toISOString() });
+  }
+  res.json({ message: "Crop removed" });
+});
+
+// Past questions and their answers, for the app's history screen
+app.get("/api/farmers/me/queries", requireFarmer, (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const newestFirst = storage.queries
+      .find(q => q.farmerId === req.auth.farmerId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+
+    res.json({
+      queries: items.map(q => ({
+        id: q.id,
+        timestamp: q.timestamp,
+        queryText: q.query.queryText,
+        crop: q.query.crop,
+        intent: q.query.intent,
+        answer: q.reply?.answer || q.response.mainAdvice,
+        reply: q.reply || null
+      })),
+      pagination
+    });
+  } catch (error) {
+    console.error("Query history error:", error);
+    res.status(500).json({ error: "Failed to fetch query history" });
+  }
+});
+
+// Soil health card upload: a JSON form ({ plotId, sampledAt, values }) or a
+// CSV, sent as text/csv or as { csv } in a JSON body
+app.post("/api/farmers/me/soil-tests", bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), requireFarmer, (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+    const defaults = { plotId: req.query.plotId || req.body.plotId, sampledAt: req.query.sampledAt || req.body.sampledAt };
+    const drafts = typeof csv === 'string'
+      ? parseSoilTestCsv(csv)
+      : [soilTestFromFields({ ...req.body.values, plotId: req.body.plotId, sampledAt: req.body.sampledAt, lab: req.body.lab, cardNumber: req.body.cardNumber })];
+    if (!drafts.length) {
+      return res.status(400).json({ error: "Invalid soil test", errors: ['CSV needs a header row and at least one result'] });
+    }
+
+    const errors = drafts.flatMap((draft, i) => validateSoilTest(draft).map(error => drafts.length > 1 ? `row ${i + 1}: ${error}` : error));
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid soil test", errors });
+    }
+
+    // Every result must belong to one of the farmer's own plots or crop
+    // plantings, or to none
+    const farmer = storage.farmers.get(req.auth.farmerId);
+    const plotIds = drafts.map(draft => draft.plotId || defaults.plotId || null);
+    const unknownPlot = plotIds.find(plotId => {
+      const plot = plotId && storage.plots.get(plotId);
+      return plotId && !(plot && plot.farmerId === req.auth.farmerId) && !farmer.crops.some(c => c.id === plotId);
+    });
+    if (unknownPlot) {
+      return res.status(404).json({ error: "Plot not found", plotId: unknownPlot });
+    }
+
+    const soilTests = drafts.map((draft, i) => storage.soilTests.insert({
+      id: crypto.randomUUID(),
+      farmerId: req.auth.farmerId,
+      plotId: plotIds[i],
+      // Undated results were sampled today
+      sampledAt: formatDay(draft.sampledAt || defaults.sampledAt ? new Date(draft.sampledAt || defaults.sampledAt) : new Date()),
+      lab: draft.lab || null,
+      cardNumber: draft.cardNumber || null,
+      values: draft.values,
+      ratings: rateSoilTest(draft.values),
+      source: typeof csv === 'string' ? 'csv' : 'json',
+      uploadedAt: new Date().toISOString()
+    }));
+
+    res.status(201).json({ soilTests });
+  } catch (error) {
+    console.error("Soil test upload error:", error);
+    res.status(500).json({ error: "Failed to save soil test" });
+  }
+});
+
+app.get("/api/farmers/me/soil-tests", requireFarmer, (req, res) => {
+  try {
+    const { plotId, page, limit } = req.query;
+    const newestFirst = storage.soilTests
+      .find(test => test.farmerId === req.auth.farmerId && (!plotId || test.plotId === plotId))
+      .sort((a, b) => new Date(b.sampledAt) - new Date(a.sampledAt));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+
+    res.json({ soilTests: items, pagination });
+  } catch (error) {
+    console.error("Soil tests error:", error);
+    res.status(500).json({ error: "Failed to fetch soil tests" });
+  }
+});
+
+// Fertiliser doses and split schedule from one soil test. The crop defaults
+// to whatever grows on the plot the sample came from.
+app.get("/api/farmers/me/soil-tests/:id/recommendation", requireFarmer, (req, res) => {
+  try {
+    const soilTest = storage.soilTests.get(req.params.id);
+    if (!soilTest || soilTest.farmerId !== req.auth.farmerId) {
+      return res.status(404).json({ error: "Soil test not found" });
+    }
+
+    const farmer = storage.farmers.get(req.auth.farmerId);
+    const planting = farmer.crops.find(c => c.id === soilTest.plotId) ||
+      (farmer.crops.length === 1 ? farmer.crops[0] : null);
+    const crop = (req.query.crop || planting?.crop || '').trim().toLowerCase();
+    const targetYield = req.query.targetYield !== undefined ? Number(req.query.targetYield) : null;
+    if (targetYield !== null && !(targetYield > 0)) {
+      return res.status(400).json({ error: "targetYield must be a positive number" });
+    }
+
+    const plan = recommendFertiliser(crop, soilTest, {
+      targetYield,
+      areaHectares: planting?.crop === crop ? plantingAreaInHectares(planting, farmer.landholding) : null,
+      sowingDate: planting?.crop === crop ? planting.sowingDate : null
+    });
+    if (!plan) {
+      return res.status(400).json({ error: crop ? `No fertiliser recommendations for ${crop}` : "crop is required" });
+    }
+
+    res.json({ recommendation: plan, summary: summariseFertiliserPlan(plan) });
+  } catch (error) {
+    console.error("Fertiliser recommendation error:", error);
+    res.status(500).json({ error: "Failed to build fertiliser recommendation" });
+  }
+});
+
+app.get("/api/farmers/me/plots", requireFarmer, (req, res) => {
+  const plots = storage.plots.find(p => p.farmerId === req.auth.farmerId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  res.json({ plots });
+});
+
+app.post("/api/farmers/me/plots", requireFarmer, (req, res) => {
+  try {
+    const farmer = storage.farmers.get(req.auth.farmerId);
+    const { name, area = null, unit = farmer.landholding?.unit || 'acre', crop = null, variety = null, sowingDate = null } = req.body;
+    const errors = validatePlot({ name, area, unit, crop, sowingDate });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid plot", errors });
+    }
+
+    const now = new Date().toISOString();
+    const plot = storage.plots.insert({
+      id: crypto.randomUUID(),
+      farmerId: farmer.id,
+      name: name.trim(),
+      area,
+      unit,
+      crop: crop ? crop.trim().toLowerCase() : null,
+      variety,
+      sowingDate,
+      createdAt: now,
+      updatedAt: now
+    });
+    syncPlotPlanting(farmer.id, plot);
+    res.status(201).json({ plot });
+  } catch (error) {
+    console.error("Plot add error:", error);
+    res.status(500).json({ error: "Failed to add plot" });
+  }
+});
+
+// Changing the crop starts a new season on the plot; send a new sowingDate with it
+app.put("/api/farmers/me/plots/:plotId", requireFarmer, (req, res) => {
+  try {
+    const current = storage.plots.get(req.params.plotId);
+    if (!current || current.farmerId !== req.auth.farmerId) {
+      return res.status(404).json({ error: "Plot not found" });
+    }
+
+    const changes = {};
+    ['name', 'area', 'unit', 'crop', 'variety', 'sowingDate'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    const errors = validatePlot({ ...current, ...changes });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid plot", errors });
+    }
+
+    if (changes.name) changes.name = changes.name.trim();
+    if (changes.crop) changes.crop = changes.crop.trim().toLowerCase();
+    const plot = storage.plots.update(current.id, { ...changes, updatedAt: new Date().toISOString() });
+    syncPlotPlanting(req.auth.farmerId, plot);
+    res.json({ plot });
+  } catch (error) {
+    console.error("Plot update error:", error);
+    res.status(500).json({ error: "Failed to update plot" });
+  }
+});
+
+app.delete("/api/farmers/me/plots/:plotId", requireFarmer, (req, res) => {
+  const plot = storage.plots.get(req.params.plotId);
+  if (!plot || plot.farmerId !== req.auth.farmerId) {
+    return res.status(404).json({ error: "Plot not found" });
+  }
+  storage.activities.find(a => a.plotId === plot.id).forEach(a => storage.activities.remove(a.id));
+  storage.plots.remove(plot.id);
+  syncPlotPlanting(req.auth.farmerId, plot, true);
+  res.json({ message: "Plot removed" });
+});
+
+// The plot's diary, newest first
+app.get("/api/farmers/me/plots/:plotId/activities", requireFarmer, (req, res) => {
+  try {
+    const plot = storage.plots.get(req.params.plotId);
+    if (!plot || plot.farmerId !== req.auth.farmerId) {
+      return res.status(404).json({ error: "Plot not found" });
+    }
+
+    const { type, page, limit } = req.query;
+    const newestFirst = storage.activities
+      .find(a => a.plotId === plot.id && (!type || a.type === type))
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+
+    res.json({ activities: items, pagination });
+  } catch (error) {
+    console.error("Diary error:", error);
+    res.status(500).json({ error: "Failed to fetch diary" });
+  }
+});
+
+app.post("/api/farmers/me/plots/:plotId/activities", requireFarmer, (req, res) => {
+  try {
+    const plot = storage.plots.get(req.params.plotId);
+    if (!plot || plot.farmerId !== req.auth.farmerId) {
+      return res.status(404).json({ error: "Plot not found" });
+    }
+
+    const { type, date = formatDay(new Date()), product = null, dose = null, quantity = null, target = null, notes = null } = req.body;
+    const errors = validateActivity({ type, date, product, quantity });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid diary entry", errors });
+    }
+
+    const activity = storage.activities.insert({
+      id: crypto.randomUUID(),
+      farmerId: plot.farmerId,
+      plotId: plot.id,
+      type,
+      date: formatDay(new Date(date)),
+      product: product ? product.trim() : null,
+      productId: type === 'spray' ? catalogueProductFor(product)?.id || null : null,
+      dose,
+      quantity,
+      target,
+      notes,
+      createdAt: new Date().toISOString()
+    });
+    res.status(201).json({ activity });
+  } catch (error) {
+    console.error("Diary entry error:", error);
+    res.status(500).json({ error: "Failed to add diary entry" });
+  }
+});
+
+app.delete("/api/farmers/me/plots/:plotId/activities/:activityId", requireFarmer, (req, res) => {
+  const activity = storage.activities.get(req.params.activityId);
+  if (!activity || activity.plotId !== req.params.plotId || activity.farmerId !== req.auth.farmerId) {
+    return res.status(404).json({ error: "Diary entry not found" });
+  }
+  storage.activities.remove(activity.id);
+  res.json({ message: "Diary entry removed" });
+});
+
+// Proactive advisories sent to the signed-in farmer, newest first
+app.get("/api/notifications", requireFarmer, (req, res) => {
+  try {
+    const { unread, type, page, limit } = req.query;
+    const mine = storage.notifications.find(n => n.farmerId === req.auth.farmerId);
+    
+    const newestFirst = mine
+      .filter(n => unread !== 'true' || !n.acknowledgedAt)
+      .filter(n => !type || n.type === type)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+    
+    res.json({
+      notifications: items,
+      unreadCount: mine.filter(n => !n.acknowledgedAt).length,
+      pagination
+    });
+  } catch (error) {
+    console.error("Notifications error:", error);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+app.post("/api/notifications/:id/acknowledge", requireFarmer, (req, res) => {
+  const notification = storage.notifications.get(req.params.id);
+  if (!notification || notification.farmerId !== req.auth.farmerId) {
+    return res.status(404).json({ error: "Notification not found" });
+  }
+  const updated = notification.acknowledgedAt
+    ? notification
+    : storage.notifications.update(notification.id, { acknowledgedAt: new Date().toISOString() });
+  res.json({ notification: updated });
+});
+
+app.get("/api/notifications/preferences", requireFarmer, (req, res) => {
+  const farmer = storage.farmers.get(req.auth.farmerId);
+  res.json({ preferences: farmer.notificationPreferences, types: advisoryTypes });
+});
+
+// Opt out entirely with { enabled: false }, or mute some advisory types
+app.put("/api/notifications/preferences", requireFarmer, (req, res) => {
+  const { enabled, mutedTypes } = req.body;
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: "enabled must be true or false" });
+  }
+  if (mutedTypes !== undefined && (!Array.isArray(mutedTypes) || !mutedTypes.every(t => advisoryTypes.includes(t)))) {
+    return res.status(400).json({ error: `mutedTypes must list some of ${advisoryTypes.join(', ')}` });
+  }
+  
+  const farmer = storage.farmers.get(req.auth.farmerId);
+  const preferences = { ...farmer.notificationPreferences };
+  if (enabled !== undefined) preferences.enabled = enabled;
+  if (mutedTypes !== undefined) preferences.mutedTypes = mutedTypes;
+  
+  storage.farmers.update(farmer.id, { notificationPreferences: preferences });
+  res.json({ preferences });
+});
+
+// Run the advisory job now instead of waiting for the next scheduled run
+app.post("/api/admin/advisories/run", requireAdmin, async (req, res) => {
+  try {
+    const summary = await runAdvisoryJob();
+    if (summary.error) {
+      return res.status(409).json(summary);
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error("Advisory job error:", error);
+    res.status(500).json({ error: "Failed to run advisory job" });
+  }
+});
+
+// Main query processing endpoint
+app.post("/api/query", requireFarmer, upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'audio', maxCount: 1 }
+]), async (req, res) => {
+  const uploads = Object.values(req.files || {}).flat();
+  try {
+    const farmerId = req.auth.farmerId;
+    const { clientRequestId = "" } = req.body;
+
+    // The app retries queued questions after a dropped connection; a repeat
+    // gets the answer already given instead of being processed twice
+    const previous = clientRequestId
+      ? storage.queries.find(q => q.farmerId === farmerId && q.query.clientRequestId === clientRequestId)[0]
+      : null;
+    if (previous?.reply) {
+      uploads.forEach(file => fs.unlink(file.path, () => {}));
+      return res.json({ ...previous.reply, replayed: true });
+    }
+
+    const response = await answerQuery({
+      farmerId,
+      queryText: req.body.queryText,
+      location: req.body.location,
+      crop: req.body.crop,
+      language: req.body.language,
+      season: req.body.season,
+      sessionId: req.body.sessionId,
+      clientRequestId,
+      imagePath: req.files?.image?.[0].path || null,
+      audioPath: req.files?.audio?.[0].path || null,
+      withAudio: ['true', '1', true].includes(req.body.withAudio)
+    });
+
+    // Clean up uploaded files
+    uploads.forEach(file => setTimeout(() => fs.unlink(file.path, () => {}), 10000));
+
+    res.json(response);
+
+  } catch (error) {
+    console.error("Query processing error:", error);
+    res.status(500).json({ 
+      error: "Failed to process your query", 
+      details: error.message 
+    });
+  }
+});
+
+// WhatsApp Cloud API subscription handshake
+app.get("/api/channels/whatsapp/webhook", (req, res) => {
+  const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+  if (req.query['hub.mode'] === 'subscribe' && secretsMatch(req.query['hub.verify_token'], verifyToken)) {
+    return res.send(req.query['hub.challenge']);
+  }
+  res.status(403).json({ error: "Verification token does not match" });
+});
+
+app.post("/api/channels/whatsapp/webhook", async (req, res) => {
+  try {
+    await receiveChannelWebhook('whatsapp', req, res);
+  } catch (error) {
+    console.error("WhatsApp webhook error:", error);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to receive messages" });
+  }
+});
+
+app.post("/api/channels/sms/webhook", async (req, res) => {
+  try {
+    await receiveChannelWebhook('sms', req, res);
+  } catch (error) {
+    console.error("SMS webhook error:", error);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to receive messages" });
+  }
+});
+
+// Plays the farmer's side of a WhatsApp or SMS conversation and returns the
+// replies; { from, text, image, audio, style: 'whatsapp' | 'sms' }
+app.post("/api/channels/simulator/messages", requirePermission('channels:simulate'), async (req, res) => {
+  try {
+    if (!enabledChannels.includes('simulator')) {
+      return res.status(404).json({ error: "This channel is not enabled" });
+    }
+    const { from, style = 'whatsapp' } = req.body;
+    if (!normalisePhone(from)) {
+      return res.status(400).json({ error: "from must be a valid phone number" });
+    }
+    if (!['whatsapp', 'sms'].includes(style)) {
+      return res.status(400).json({ error: "style must be whatsapp or sms" });
+    }
+
+    const channel = getMessagingChannel('simulator');
+    const replies = [];
+    for (const message of channel.parseInbound(req)) {
+      replies.push(...await handleChannelMessage(channel, message, { style }));
+    }
+    res.json({ replies });
+  } catch (error) {
+    console.error("Simulator error:", error);
+    res.status(500).json({ error: "Failed to process simulated message" });
+  }
+});
 
-    // Process image if provided
-    if (req.files?.image) {
-      imageAnalysis = await analyzeImage(req.files.image[0].path, crop);
+// One phone's conversation on any channel, oldest first
+app.get("/api/channels/messages", requirePermission('channels:read'), (req, res) => {
+  try {
+    const phone = normalisePhone(req.query.phone);
+    if (!phone) {
+      return res.status(400).json({ error: "phone is required" });
     }
+    const { channel, page, limit } = req.query;
+    const oldestFirst = storage.channelMessages
+      .find(m => m.phone === phone && (!channel || m.channel === channel))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const { items, pagination } = paginate(oldestFirst, page, limit);
 
-    // Get farmer history
-    const farmerHistory = queries.filter(q => q.query.farmerId === farmerId);
+    res.json({ messages: items, pagination });
+  } catch (error) {
+    console.error("Channel messages error:", error);
+    res.status(500).json({ error: "Failed to fetch messages" });
+  }
+});
 
-    // Generate AI advice
-    const aiResponse = await generateAdvice(
-      { queryText: processedQuery, farmerId, crop, location, season },
-      { nlp: nlpResult, imageAnalysis, crop, location, season, farmerId },
-      farmerHistory
-    );
+function requireHotline(req, res, next) {
+  if (process.env.IVR_ENABLED !== 'true') {
+    return res.status(404).json({ error: "The voice hotline is not enabled", actions: [{ type: 'hangup' }] });
+  }
+  next();
+}
 
-    // Determine if escalation is needed
-    let status = "answered";
-    if (aiResponse.shouldEscalate || aiResponse.confidence < 0.6) {
-      status = "escalated";
-      escalations.push({
-        id: Date.now(),
-        farmerId,
-        originalQuery: processedQuery,
-        nlpResult,
-        imageAnalysis,
-        aiResponse,
-        location,
-        crop,
-        priority: aiResponse.confidence < 0.4 ? 'high' : 'medium',
-        createdAt: new Date().toISOString()
-      });
+// Voice hotline webhook; the provider carries out the returned actions
+app.post("/api/ivr/events", requireHotline, async (req, res) => {
+  try {
+    if (!secretsMatch(req.get('x-webhook-secret'), process.env.IVR_WEBHOOK_SECRET)) {
+      return res.status(401).json({ error: "Webhook secret does not match" });
     }
 
-    // Record query for learning
-    recordQuery(
-      { queryText: processedQuery, farmerId, crop, location, season },
-      aiResponse
-    );
+    const result = await handleCallEvent(req.body);
+    if (result.error) {
+      return res.status(result.error === "Unknown call" ? 404 : 400).json({ error: result.error, actions: [{ type: 'hangup' }] });
+    }
+    res.json({ callId: result.call.id, state: result.call.state, actions: result.actions });
+  } catch (error) {
+    console.error("Hotline webhook error:", error);
+    res.status(500).json({ error: "Failed to handle call event", actions: [{ type: 'hangup' }] });
+  }
+});
 
-    // Clean up uploaded files
-    if (req.files?.image) {
-      setTimeout(() => fs.unlink(req.files.image[0].path, () => {}), 10000);
+// Plays a whole call from the caller's side: { from, missedCall, steps } with
+// each step { digits }, { recording } (a data: URL) or { hangup: true }.
+// Returns what the hotline did after every event.
+app.post("/api/ivr/simulator/calls", requireHotline, requirePermission('channels:simulate'), async (req, res) => {
+  try {
+    const { from, missedCall = false, steps = [] } = req.body;
+    if (!normalisePhone(from)) {
+      return res.status(400).json({ error: "from must be a valid phone number" });
     }
-    if (req.files?.audio) {
-      setTimeout(() => fs.unlink(req.files.audio[0].path, () => {}), 10000);
+    if (!Array.isArray(steps)) {
+      return res.status(400).json({ error: "steps must be a list" });
     }
 
-    const response = {
-      answer: aiResponse.mainAdvice,
-      recommendations: aiResponse.recommendations || [],
-      confidence: aiResponse.confidence,
-      status,
-      context: {
-        detectedCrop: nlpResult?.entities?.crop || crop,
-        detectedDisease: imageAnalysis?.disease,
-        season: season || getCurrentSeason(),
-        language: language
-      },
-      processingDetails: {
-        nlpProcessed: !!nlpResult,
-        imageProcessed: !!imageAnalysis,
-        voiceProcessed: !!voiceResult
-      }
-    };
+    const callId = `sim-${crypto.randomUUID()}`;
+    const events = [
+      { event: missedCall ? 'missed_call' : 'call.started', callId, from },
+      ...steps.map(step => step.hangup
+        ? { event: 'call.ended', callId }
+        : step.recording !== undefined
+          ? { event: 'recording', callId, recordingUrl: step.recording }
+          : { event: 'input', callId, digits: step.digits ?? '' })
+    ];
 
-    res.json(response);
+    const transcript = [];
+    for (const event of events) {
+      const result = await handleCallEvent(event);
+      transcript.push({ event: event.event, digits: event.digits, state: result.call?.state || null, actions: result.actions || [], error: result.error });
+      if (result.error || ['ended', 'transferred', 'callback'].includes(result.call.state)) break;
+    }
+    res.json({ call: storage.calls.get(callId), transcript });
+  } catch (error) {
+    console.error("Call simulator error:", error);
+    res.status(500).json({ error: "Failed to simulate call" });
+  }
+});
+
+app.get("/api/ivr/calls", requirePermission('channels:read'), (req, res) => {
+  try {
+    const { state, page, limit } = req.query;
+    if (state && !callStates.includes(state)) {
+      return res.status(400).json({ error: `state must be one of ${callStates.join(', ')}` });
+    }
+    const phone = req.query.phone ? normalisePhone(req.query.phone) : null;
+    const newestFirst = storage.calls
+      .find(call => (!state || call.state === state) && (!phone || call.phone === phone))
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    const { items, pagination } = paginate(newestFirst, page, limit);
 
+    res.json({ calls: items, pagination });
   } catch (error) {
-    console.error("Query processing error:", error);
-    res.status(500).json({ 
-      error: "Failed to process your query", 
-      details: error.message 
-    });
+    console.error("Calls error:", error);
+    res.status(500).json({ error: "Failed to fetch calls" });
   }
 });
 
@@ -538,15 +5823,20 @@ app.post("/api/voice", upload.single('audio'), async (req, res) => {
       return res.status(400).json({ error: "No audio file provided" });
     }
 
-    const voiceResult = await processVoice(req.file.path);
+    const voiceResult = await processVoice(req.file.path, { language: req.body.language });
     
     // Clean up file
     setTimeout(() => fs.unlink(req.file.path, () => {}), 5000);
 
+    if (voiceResult.error) {
+      return res.status(422).json({ error: voiceResult.error });
+    }
+
     res.json({
       text: voiceResult.text,
       language: voiceResult.language,
-      confidence: voiceResult.confidence
+      confidence: voiceResult.confidence,
+      segments: voiceResult.segments
     });
 
   } catch (error) {
@@ -560,11 +5850,26 @@ app.post("/api/tts", async (req, res) => {
   try {
     const { text, language = 'en' } = req.body;
     
-    // Mock TTS - replace with actual service
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: "No text provided" });
+    }
+    if (text.length > 5000) {
+      return res.status(400).json({ error: "Text is too long (max 5000 characters)" });
+    }
+    if (!supportedLanguages.includes(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}`, supportedLanguages });
+    }
+    
+    const speech = await synthesizeSpeech(text.trim(), language);
+    if (speech.error) {
+      return res.status(503).json({ error: speech.error, supportedLanguages });
+    }
+    
     res.json({
-      audioUrl: null,
-      message: "TTS service will be available soon",
-      supportedLanguages: ['en', 'ml', 'hi']
+      audioUrl: speech.audioUrl,
+      cached: speech.cached,
+      language,
+      supportedLanguages
     });
 
   } catch (error) {
@@ -574,27 +5879,35 @@ app.post("/api/tts", async (req, res) => {
 });
 
 // Feedback endpoint for learning loop
-app.post("/api/feedback", async (req, res) => {
+app.post("/api/feedback", requireFarmer, async (req, res) => {
   try {
-    const { queryId, rating, comments, isHelpful } = req.body;
+    const { queryId, rating, comments = null, isHelpful = null } = req.body;
+    if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      return res.status(400).json({ error: "rating must be a whole number from 1 to 5" });
+    }
+    
+    // Ids arrive as strings from forms and JSON clients alike
+    const query = findQuery(queryId);
+    if (!query || query.farmerId !== req.auth.farmerId) {
+      return res.status(404).json({ error: "Query not found" });
+    }
     
     const feedbackEntry = {
-      queryId,
-      rating,
+      id: crypto.randomUUID(),
+      queryId: query.id,
+      farmerId: req.auth.farmerId,
+      rating: rating ?? null,
       comments,
       isHelpful,
       timestamp: new Date().toISOString()
     };
     
-    feedback.push(feedbackEntry);
+    storage.feedback.insert(feedbackEntry);
     
     // Update query record
-    const queryIndex = queries.findIndex(q => q.id === queryId);
-    if (queryIndex !== -1) {
-      queries[queryIndex].feedback = feedbackEntry;
-    }
+    storage.queries.update(query.id, { feedback: feedbackEntry });
 
-    res.json({ message: "Feedback recorded successfully" });
+    res.json({ message: "Feedback recorded successfully", feedbackId: feedbackEntry.id, queryId: query.id });
 
   } catch (error) {
     console.error("Feedback error:", error);
@@ -605,299 +5918,561 @@ app.post("/api/feedback", async (req, res) => {
 // Escalations management
 app.get("/api/escalations", (req, res) => {
   try {
-    const recent = escalations.slice(-50).map(esc => ({
+    const { priority, crop, location, status, page, limit } = req.query;
+    
+    const newestFirst = filterEscalations({ priority, crop, location, status })
+      .filter(esc => canSeeEscalation(req.auth, esc))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+    
+    const escalations = items.map(esc => ({
       ...esc,
-      farmerInfo: farmers.get(esc.farmerId) || {}
+      farmerInfo: redactFarmer(storage.farmers.get(esc.farmerId), req.auth.role)
     }));
-    res.json({ escalations: recent });
+    res.json({ escalations, pagination });
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch escalations" });
   }
 });
 
-// Analytics endpoint
-app.get("/api/analytics", (req, res) => {
+app.post("/api/escalations/:id/assign", requirePermission('escalations:assign'), (req, res) => {
   try {
-    const analytics = {
-      totalQueries: queries.length,
-      totalFarmers: farmers.size,
-      escalationRate: (escalations.length / queries.length * 100).toFixed(1),
-      avgConfidence: (queries.reduce((sum, q) => sum + (q.response?.confidence || 0), 0) / queries.length).toFixed(2),
-      topCrops: getTopCrops(),
-      topDiseases: getTopDiseases(),
-      languageDistribution: getLanguageDistribution()
-    };
+    const { expertId } = req.body;
+    const expert = expertId ? storage.staff.get(expertId) : null;
+    if (!expert || !expert.active || !hasPermission(expert, 'escalations:answer')) {
+      return res.status(400).json({ error: "expertId must be an active agronomist" });
+    }
     
-    res.json(analytics);
+    const escalation = findEscalation(req.params.id);
+    if (!escalation || !canSeeEscalation(req.auth, escalation)) {
+      return res.status(404).json({ error: "Escalation not found" });
+    }
+    
+    const assignedBy = req.auth.staffId || 'admin';
+    const updated = transitionEscalation(escalation, 'assigned', assignedBy, {
+      assignedTo: { expertId, expertName: expert.name, assignedBy, assignedAt: new Date().toISOString() }
+    }, `Assigned to ${expert.name || expertId}`);
+    if (updated.error) {
+      return res.status(409).json({ error: updated.error });
+    }
+    
+    res.json({ escalation: updated });
   } catch (error) {
-    res.status(500).json({ error: "Failed to generate analytics" });
+    console.error("Escalation assign error:", error);
+    res.status(500).json({ error: "Failed to assign escalation" });
   }
 });
 
-function getTopCrops() {
-  const cropCount = {};
-  farmers.forEach(farmer => {
-    farmer.crops?.forEach(crop => {
-      cropCount[crop] = (cropCount[crop] || 0) + 1;
-    });
-  });
-  return Object.entries(cropCount).sort(([,a], [,b]) => b - a).slice(0, 5);
-}
-
-function getTopDiseases() {
-  const diseaseCount = {};
-  escalations.forEach(esc => {
-    if (esc.imageAnalysis?.disease) {
-      const disease = esc.imageAnalysis.disease;
-      diseaseCount[disease] = (diseaseCount[disease] || 0) + 1;
+app.post("/api/escalations/:id/answer", requirePermission('escalations:answer'), (req, res) => {
+  try {
+    // Experts answer as themselves; only admins may answer on someone's behalf
+    const expertId = req.auth.role === 'admin' ? req.body.expertId : req.auth.staffId;
+    const { answer, labels = null } = req.body;
+    if (!expertId || !answer) {
+      return res.status(400).json({ error: "expertId and answer are required" });
     }
-  });
-  return Object.entries(diseaseCount).sort(([,a], [,b]) => b - a).slice(0, 5);
-}
-
-function getLanguageDistribution() {
-  const langCount = { 'en': 0, 'ml': 0, 'hi': 0, 'other': 0 };
-  queries.forEach(q => {
-    const lang = q.query.language || 'en';
-    langCount[lang] = (langCount[lang] || 0) + 1;
-  });
-  return langCount;
-}
-
-/* ---------------------- FRONTEND ---------------------- */
-
-app.get("/", (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-  <title>🌾 AI Krishi Mitra - Advanced Agricultural Assistant</title>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { 
-      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      min-height: 100vh;
-      padding: 20px;
+    // Optional labels (intent, disease, pest) teach the learning loop
+    if (labels && labels.intent && !Object.keys(intentPatterns).includes(labels.intent)) {
+      return res.status(400).json({ error: `labels.intent must be one of ${Object.keys(intentPatterns).join(', ')}` });
     }
     
-    .container {
-      max-width: 900px;
-      margin: 0 auto;
-      background: rgba(255, 255, 255, 0.95);
-      border-radius: 15px;
-      box-shadow: 0 20px 40px rgba(0,0,0,0.1);
-      padding: 30px;
+    const escalation = findEscalation(req.params.id);
+    if (!escalation || !canSeeEscalation(req.auth, escalation)) {
+      return res.status(404).json({ error: "Escalation not found" });
     }
-    
-    .header {
-      text-align: center;
-      margin-bottom: 30px;
-      padding-bottom: 20px;
-      border-bottom: 2px solid #eee;
+    if (escalation.assignedTo?.expertId !== expertId) {
+      return res.status(403).json({ error: "Escalation is not assigned to this expert" });
     }
     
-    .header h1 {
-      color: #2c5530;
-      margin-bottom: 10px;
-      font-size: 2.2em;
+    const expertAnswer = { expertId, answer, labels, answeredAt: new Date().toISOString() };
+    const updated = transitionEscalation(escalation, 'answered', expertId, { expertAnswer });
+    if (updated.error) {
+      return res.status(409).json({ error: updated.error });
     }
     
-    .header p {
-      color: #666;
-      font-size: 1.1em;
+    // Attach the reply to the farmer's query so it shows up in their history
+    if (escalation.queryId !== null) {
+      storage.queries.update(escalation.queryId, { expertReply: expertAnswer });
     }
     
-    .input-section {
-      background: #f8f9ff;
-      padding: 25px;
-      border-radius: 12px;
-      margin-bottom: 25px;
-      border: 1px solid #e0e4e7;
-    }
+    res.json({ escalation: updated });
+  } catch (error) {
+    console.error("Escalation answer error:", error);
+    res.status(500).json({ error: "Failed to record expert answer" });
+  }
+});
+
+app.post("/api/escalations/:id/close", requirePermission('escalations:close'), (req, res) => {
+  try {
+    const { resolution = null } = req.body;
+    const closedBy = req.auth.staffId || 'admin';
     
-    .input-group {
-      margin-bottom: 20px;
+    const escalation = findEscalation(req.params.id);
+    if (!escalation || !canSeeEscalation(req.auth, escalation)) {
+      return res.status(404).json({ error: "Escalation not found" });
     }
     
-    .input-group label {
-      display: block;
-      margin-bottom: 8px;
-      font-weight: 600;
-      color: #333;
+    const updated = transitionEscalation(escalation, 'closed', closedBy, {
+      closedAt: new Date().toISOString()
+    }, resolution);
+    if (updated.error) {
+      return res.status(409).json({ error: updated.error });
     }
     
-    input, textarea, select {
-      width: 100%;
-      padding: 12px 15px;
-      border: 2px solid #e1e5e9;
-      border-radius: 8px;
-      font-size: 14px;
-      transition: border-color 0.3s;
+    res.json({ escalation: updated });
+  } catch (error) {
+    console.error("Escalation close error:", error);
+    res.status(500).json({ error: "Failed to close escalation" });
+  }
+});
+
+// Expert reply lookup for the farmer who asked
+app.get("/api/queries/:queryId/reply", (req, res) => {
+  try {
+    const escalation = storage.escalations
+      .find(esc => String(esc.queryId) === req.params.queryId)[0];
+    if (!escalation || !canSeeEscalation(req.auth, escalation)) {
+      return res.status(404).json({ error: "No escalation found for this query" });
     }
     
-    input:focus, textarea:focus, select:focus {
-      outline: none;
-      border-color: #667eea;
-      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    res.json({
+      queryId: escalation.queryId,
+      status: escalation.status,
+      reply: escalation.expertAnswer
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch expert reply" });
+  }
+});
+
+// Learning loop: run it now, and review what each run changed
+app.post("/api/admin/learning/run", requirePermission('knowledge:write'), (req, res) => {
+  try {
+    const { model, ...report } = runLearningJob();
+    res.json({ run: report });
+  } catch (error) {
+    console.error("Learning job error:", error);
+    res.status(500).json({ error: "Failed to run learning job" });
+  }
+});
+
+app.get("/api/admin/learning/runs", requirePermission('knowledge:write'), (req, res) => {
+  const newestFirst = storage.learningRuns.all()
+    .sort((a, b) => b.id - a.id)
+    .map(({ model, ...report }) => report);
+  const { items, pagination } = paginate(newestFirst, req.query.page, req.query.limit);
+  res.json({ runs: items, pagination, currentVersion: learnedModel.version });
+});
+
+app.get("/api/admin/learning/runs/:version", requirePermission('knowledge:write'), (req, res) => {
+  const run = storage.learningRuns.get(Number(req.params.version));
+  if (!run) {
+    return res.status(404).json({ error: "Learning run not found" });
+  }
+  res.json({ run });
+});
+
+// Import a price bulletin: CSV (as text/csv or { csv }) or { prices: [...] }.
+// Bad rows are skipped and reported; the rest are stored.
+app.post("/api/admin/prices/import", bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), requirePermission('knowledge:write'), (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+    const rows = typeof csv === 'string'
+      ? parsePriceCsv(csv)
+      : (Array.isArray(req.body.prices) ? req.body.prices.map(priceRowFromFields) : []);
+    if (!rows.length) {
+      return res.status(400).json({ error: "Invalid price bulletin", errors: ['Send a CSV with a header row or a list of prices'] });
     }
-    
-    .file-upload {
-      position: relative;
-      display: inline-block;
-      cursor: pointer;
-      width: 100%;
+
+    const bulletin = req.query.bulletin || req.body.bulletin || null;
+    const summary = importPrices(rows, bulletin);
+    if (!summary.imported && !summary.updated) {
+      return res.status(400).json({ error: "No valid prices in bulletin", ...summary });
     }
-    
-    .file-upload input[type="file"] {
-      position: absolute;
-      opacity: 0;
-      width: 100%;
-      height: 100%;
-      cursor: pointer;
+
+    recordAudit(req.auth, 'prices.import', bulletin, null, { imported: summary.imported, updated: summary.updated, skipped: summary.skipped.length });
+    res.status(201).json(summary);
+  } catch (error) {
+    console.error("Price import error:", error);
+    res.status(500).json({ error: "Failed to import prices" });
+  }
+});
+
+// Recommendations the compliance checks kept from farmers, newest first
+app.get("/api/admin/compliance/log", requirePermission('knowledge:write'), (req, res) => {
+  const { rule, crop, page, limit } = req.query;
+  const newestFirst = storage.complianceLog
+    .find(entry => (!rule || entry.rule === rule) && (!crop || entry.crop === crop))
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+  const { items, pagination } = paginate(newestFirst, page, limit);
+  res.json({ entries: items, pagination });
+});
+
+// Crop knowledge base administration
+app.get("/api/admin/crops", requirePermission('knowledge:write'), (req, res) => {
+  res.json({ crops: Object.values(cropDatabase) });
+});
+
+app.get("/api/admin/crops/:crop", requirePermission('knowledge:write'), (req, res) => {
+  const cropInfo = getCropInfo(req.params.crop);
+  if (!cropInfo) {
+    return res.status(404).json({ error: "Crop not found" });
+  }
+  res.json({ crop: cropInfo });
+});
+
+app.post("/api/admin/crops/validate", requirePermission('knowledge:write'), (req, res) => {
+  const errors = validateCropEntry(req.body);
+  res.json({ valid: errors.length === 0, errors });
+});
+
+app.post("/api/admin/crops", requirePermission('knowledge:write'), (req, res) => {
+  try {
+    const { version, updatedAt, ...entry } = req.body;
+    const errors = validateCropEntry(entry);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid crop entry", errors });
     }
-    
-    .file-upload-label {
-      display: block;
-      padding: 12px 15px;
-      background: #fff;
-      border: 2px dashed #ccc;
-      border-radius: 8px;
-      text-align: center;
-      transition: all 0.3s;
+    if (cropDatabase[entry.crop]) {
+      return res.status(409).json({ error: "Crop already exists" });
     }
     
-    .file-upload:hover .file-upload-label {
-      border-color: #667eea;
-      background: #f8f9ff;
+    res.status(201).json({ crop: saveCropEntry(entry) });
+  } catch (error) {
+    console.error("Crop create error:", error);
+    res.status(500).json({ error: "Failed to add crop" });
+  }
+});
+
+app.put("/api/admin/crops/:crop", requirePermission('knowledge:write'), (req, res) => {
+  try {
+    const current = getCropInfo(req.params.crop);
+    if (!current) {
+      return res.status(404).json({ error: "Crop not found" });
     }
     
-    .button-group {
-      display: flex;
-      gap: 15px;
-      flex-wrap: wrap;
-      justify-content: center;
-      margin-top: 20px;
+    // Reject edits made against an outdated copy of the entry
+    const { version, updatedAt, ...changes } = req.body;
+    if (version !== undefined && version !== current.version) {
+      return res.status(409).json({ error: "Crop entry was modified by someone else", currentVersion: current.version });
     }
     
-    button {
-      padding: 12px 24px;
-      border: none;
-      border-radius: 8px;
-      font-size: 14px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.3s;
-      display: flex;
-      align-items: center;
-      gap: 8px;
+    const entry = { ...current, ...changes, crop: current.crop };
+    const errors = validateCropEntry(entry);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid crop entry", errors });
     }
     
-    .btn-primary {
-      background: linear-gradient(45deg, #667eea, #764ba2);
-      color: white;
+    res.json({ crop: saveCropEntry(entry) });
+  } catch (error) {
+    console.error("Crop update error:", error);
+    res.status(500).json({ error: "Failed to update crop" });
+  }
+});
+
+// Staff accounts and the audit trail of role changes
+app.get("/api/admin/staff", requireAdmin, (req, res) => {
+  res.json({ staff: storage.staff.all() });
+});
+
+app.post("/api/admin/staff", requireAdmin, (req, res) => {
+  try {
+    const phone = normalisePhone(req.body.phone);
+    const { name = null, role, district = null, panchayat = null } = req.body;
+    const errors = validateStaffMember({ name, role, district, panchayat });
+    if (!phone) errors.push('A valid phone number is required');
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid staff member", errors });
     }
-    
-    .btn-primary:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 5px 15px rgba(102, 126, 234, 0.3);
+    if (findStaffByPhone(phone) || findFarmerByPhone(phone)) {
+      return res.status(409).json({ error: "This phone number already has an account" });
     }
     
-    .btn-secondary {
-      background: #f8f9fa;
-      color: #495057;
-      border: 1px solid #dee2e6;
+    const member = storage.staff.insert({
+      id: `staff_${crypto.randomUUID()}`,
+      phone,
+      name,
+      role,
+      district,
+      panchayat,
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+    recordAudit(req.auth, 'staff.create', member.id, null, { role, district, panchayat });
+    res.status(201).json({ staff: member });
+  } catch (error) {
+    console.error("Staff create error:", error);
+    res.status(500).json({ error: "Failed to create staff member" });
+  }
+});
+
+app.put("/api/admin/staff/:id", requireAdmin, (req, res) => {
+  try {
+    const current = storage.staff.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: "Staff member not found" });
     }
     
-    .btn-secondary:hover {
-      background: #e9ecef;
+    const editable = ['name', 'role', 'district', 'panchayat', 'active'];
+    const changes = Object.fromEntries(Object.entries(req.body).filter(([key]) => editable.includes(key)));
+    const errors = validateStaffMember({ ...current, ...changes });
+    if (changes.active !== undefined && typeof changes.active !== 'boolean') {
+      errors.push('active must be true or false');
     }
-    
-    .btn-voice {
-      background: #28a745;
-      color: white;
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid staff member", errors });
     }
     
-    .btn-voice:hover {
-      background: #218838;
-    }
+    const before = Object.fromEntries(Object.keys(changes).map(key => [key, current[key]]));
+    const updated = storage.staff.update(current.id, changes);
+    recordAudit(req.auth, 'staff.update', current.id, before, changes);
     
-    .btn-voice.recording {
-      background: #dc3545;
-      animation: pulse 1s infinite;
+    // A deactivated account loses its sessions straight away
+    if (changes.active === false) {
+      storage.authTokens.find(t => t.staffId === current.id).forEach(t => storage.authTokens.remove(t.id));
     }
-    
-    @keyframes pulse {
-      0% { opacity: 1; }
-      50% { opacity: 0.7; }
-      100% { opacity: 1; }
+    res.json({ staff: updated });
+  } catch (error) {
+    console.error("Staff update error:", error);
+    res.status(500).json({ error: "Failed to update staff member" });
+  }
+});
+
+app.get("/api/admin/audit-log", requireAdmin, (req, res) => {
+  const { targetId, page, limit } = req.query;
+  const entries = storage.auditLog
+    .find(entry => !targetId || entry.targetId === targetId)
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+  const { items, pagination } = paginate(entries, page, limit);
+  res.json({ entries: items, pagination });
+});
+
+// Schemes the farmer qualifies for, with the reason each criterion passed or
+// failed. Staff may check a farmer in their area with ?farmerId=
+app.get("/api/schemes/eligible", (req, res) => {
+  try {
+    const farmerId = req.auth.role === 'farmer' ? req.auth.farmerId : req.query.farmerId;
+    const farmer = farmerId ? storage.farmers.get(farmerId) : null;
+    if (req.auth.role !== 'farmer' && (!hasPermission(req.auth, 'escalations:read') || (farmer && !inJurisdiction(req.auth, farmer)))) {
+      return res.status(403).json({ error: "You cannot check this farmer's eligibility" });
     }
-    
-    button:disabled {
-      opacity: 0.6;
-      cursor: not-allowed;
-      transform: none !important;
+    if (!farmer) {
+      return res.status(404).json({ error: "Farmer not found" });
     }
     
-    .response-section {
-      background: white;
-      border: 1px solid #e0e4e7;
-      border-radius: 12px;
-      padding: 25px;
-      margin-top: 25px;
-    }
+    const order = { eligible: 0, incomplete: 1, ineligible: 2 };
+    const results = schemes.map(scheme => evaluateScheme(scheme, farmer))
+      .sort((a, b) => order[a.status] - order[b.status] ||
+        (a.nextDeadline?.daysLeft ?? Infinity) - (b.nextDeadline?.daysLeft ?? Infinity));
     
-    .response-header {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      margin-bottom: 20px;
-      padding-bottom: 15px;
-      border-bottom: 1px solid #eee;
+    res.json({
+      farmerId: farmer.id,
+      schemes: results.filter(result => !req.query.status || result.status === req.query.status),
+      summary: {
+        eligible: results.filter(r => r.status === 'eligible').length,
+        incomplete: results.filter(r => r.status === 'incomplete').length,
+        ineligible: results.filter(r => r.status === 'ineligible').length
+      }
+    });
+  } catch (error) {
+    console.error("Scheme eligibility error:", error);
+    res.status(500).json({ error: "Failed to check scheme eligibility" });
+  }
+});
+
+// Growth stage and upcoming activities for each of a farmer's crops
+app.get("/api/calendar/:farmerId", (req, res) => {
+  try {
+    const farmer = storage.farmers.get(req.params.farmerId);
+    const allowed = req.auth.role === 'farmer'
+      ? req.params.farmerId === req.auth.farmerId
+      : hasPermission(req.auth, 'escalations:read') && farmer && inJurisdiction(req.auth, farmer);
+    if (!allowed) {
+      return res.status(403).json({ error: "You cannot view this farmer's calendar" });
     }
-    
-    .status-badge {
-      padding: 6px 12px;
-      border-radius: 20px;
-      font-size: 12px;
-      font-weight: 600;
-      text-transform: uppercase;
+    if (!farmer) {
+      return res.status(404).json({ error: "Farmer not found" });
     }
     
-    .status-answered {
-      background: #d4edda;
-      color: #155724;
-    }
+    const crops = (farmer.crops || []).map(planting => ({
+      plantingId: planting.id,
+      crop: planting.crop,
+      variety: planting.variety,
+      area: planting.area,
+      ...getCropCalendar(planting.crop, { state: farmer.state, sowingDate: planting.sowingDate })
+    }));
     
-    .status-escalated {
-      background: #f8d7da;
-      color: #721c24;
+    res.json({
+      farmerId: farmer.id,
+      season: getCurrentSeason(farmer.state),
+      crops
+    });
+  } catch (error) {
+    console.error("Calendar error:", error);
+    res.status(500).json({ error: "Failed to build crop calendar" });
+  }
+});
+
+// Mandi price history, newest first. With a commodity the latest price at
+// each market is included, and with a market as well its weekly trend.
+app.get("/api/prices", (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const commodity = req.query.commodity ? resolvePriceName(marketGuide.commodities, req.query.commodity) : null;
+    const market = req.query.market ? resolvePriceName(marketGuide.markets, req.query.market) : null;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 4, 1), 52);
+    const since = req.query.from ? parsePriceDate(req.query.from) : null;
+
+    const newestFirst = storage.prices
+      .find(p => (!commodity || p.commodity === commodity) && (!market || p.market === market) && (!since || p.date >= since))
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+
+    res.json({
+      prices: items,
+      latestByMarket: commodity ? latestPricesByMarket(commodity) : null,
+      trend: commodity && market ? priceTrend(commodity, market, weeks) : null,
+      pagination
+    });
+  } catch (error) {
+    console.error("Prices error:", error);
+    res.status(500).json({ error: "Failed to fetch prices" });
+  }
+});
+
+// Current conditions and 7-day forecast
+app.get("/api/weather", async (req, res) => {
+  try {
+    const farmer = req.auth.farmerId ? storage.farmers.get(req.auth.farmerId) : null;
+    const location = req.query.location || farmer?.location || farmer?.district;
+    if (!location) {
+      return res.status(400).json({ error: "location is required" });
     }
     
-    .confidence-meter {
-      display: flex;
-      align-items: center;
-      gap: 10px;
+    const weather = await getLocalWeather(location);
+    if (!weather) {
+      return res.status(503).json({ error: "Weather is unavailable for this location right now" });
     }
     
-    .confidence-bar {
-      width: 100px;
-      height: 8px;
-      background: #e9ecef;
-      border-radius: 4px;
-      overflow: hidden;
-    }
+    res.json({
+      weather,
+      advisories: applyWeatherRules(weather, {
+        crop: req.query.crop,
+        language: [req.query.language, farmer?.preferredLanguage].find(l => supportedLanguages.includes(l)) || 'en'
+      })
+    });
+  } catch (error) {
+    console.error("Weather error:", error);
+    res.status(500).json({ error: "Failed to fetch weather" });
+  }
+});
+
+// Disease outbreaks, newest first; active ones unless ?status= says otherwise
+app.get("/api/outbreaks", requirePermission('analytics:read'), (req, res) => {
+  try {
+    const { status = 'active', district, disease, page, limit } = req.query;
+    const matches = (value, wanted) => !wanted || (value || '').toLowerCase() === wanted.toLowerCase();
     
-    .confidence-fill {
-      height: 100%;
-      background: linear-gradient(90deg, #dc3545, #ffc107, #28a745);
-      transition: width 0.3s;
-    }
+    const newestFirst = storage.outbreaks.find(outbreak =>
+      (status === 'all' || outbreak.status === status) &&
+      matches(outbreak.district, district) &&
+      matches(outbreak.disease, disease) &&
+      canSeeOutbreak(req.auth, outbreak)
+    ).sort((a, b) => new Date(b.lastDetectedAt) - new Date(a.lastDetectedAt));
+    const { items, pagination } = paginate(newestFirst, page, limit);
+    
+    res.json({ outbreaks: items, pagination });
+  } catch (error) {
+    console.error("Outbreaks error:", error);
+    res.status(500).json({ error: "Failed to fetch outbreaks" });
+  }
+});
+
+// Analytics endpoint
+app.get("/api/analytics", requirePermission('analytics:read'), (req, res) => {
+  try {
+    // Field officers get figures for their own area only
+    const farmers = storage.farmers.find(farmer => inJurisdiction(req.auth, farmer));
+    const farmerIds = new Set(farmers.map(farmer => farmer.id));
+    const queries = storage.queries.find(q => farmerIds.has(q.farmerId));
+    const escalations = storage.escalations.find(esc => inJurisdiction(req.auth, esc));
+    
+    const analytics = {
+      totalQueries: queries.length,
+      totalFarmers: farmers.length,
+      escalationRate: (escalations.length / queries.length * 100).toFixed(1),
+      avgConfidence: (queries.reduce((sum, q) => sum + (q.response?.confidence || 0), 0) / queries.length).toFixed(2),
+      topCrops: getTopCrops(farmers),
+      topDiseases: getTopDiseases(queries),
+      activeOutbreaks: storage.outbreaks.find(o => o.status === 'active' && canSeeOutbreak(req.auth, o)).length,
+      languageDistribution: getLanguageDistribution(queries)
+    };
     
-    .answer {
-      font-size: 16px;
-      line-height: 1.6;
-      color: #333;
-      margin-bottom: 20px;
+    res.json(analytics);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to generate analytics" });
+  }
+});
+
+function getTopCrops(farmers) {
+  const cropCount = {};
+  farmers.forEach(farmer => {
+    farmer.crops?.forEach(({ crop }) => {
+      cropCount[crop] = (cropCount[crop] || 0) + 1;
+    });
+  });
+  return Object.entries(cropCount).sort(([,a], [,b]) => b - a).slice(0, 5);
+}
+
+// Counts every diagnosis, from photos and from what farmers describe,
+// not just the ones that were escalated
+function getTopDiseases(queries) {
+  const diseaseCount = {};
+  queries.forEach(q => {
+    if (q.query.disease) {
+      const disease = q.query.disease;
+      diseaseCount[disease] = (diseaseCount[disease] || 0) + 1;
+    }
+  });
+  return Object.entries(diseaseCount).sort(([,a], [,b]) => b - a).slice(0, 5);
+}
+
+function getLanguageDistribution(queries) {
+  const langCount = { 'en': 0, 'ml': 0, 'hi': 0, 'other': 0 };
+  queries.forEach(q => {
+    const lang = q.query.language || 'en';
+    langCount[lang] = (langCount[lang] || 0) + 1;
+  });
+  return langCount;
+}
+
+/* ---------------------- FRONTEND ---------------------- */
+
+// The farmer app is a PWA in public/. The service worker must always be
+// revalidated so a new release reaches phones that have it installed.
+app.use(express.static(path.join(__dirname, "public"), {
+  setHeaders: (res, filePath) => {
+    if (path.basename(filePath) === 'sw.js') {
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+  }
+}));
+
+/* ---------------------- SERVER ---------------------- */
+
+const PORT = process.env.PORT || 3000;
+
+// Set up the providers now, so a missing model, binary or webhook secret shows
+// at startup rather than on a farmer's first message
+getSpeechProvider();
+getTtsProvider();
+getImageClassifier();
+getTranslationEngine();
+getSmsProvider();
+checkChannelSecrets();
+
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`🌾 AI Krishi Mitra running on http://localhost:${PORT}`));
+}
+
+module.exports = app;
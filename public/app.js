@@ -0,0 +1,401 @@
+/**
+ * Farmer app: sign-in, asking by text, photo and voice, and history.
+ *
+ * Every question goes into the IndexedDB outbox first and is sent from
+ * there, so nothing is lost if the connection drops mid-upload. Answers are
+ * kept in IndexedDB too and history is drawn from them, online or not.
+ *
+ * The UI language is kept on the phone and, once signed in, on the farmer's
+ * profile; answers come back in the same language.
+ */
+(function () {
+  const db = self.KrishiDB;
+  const outbox = self.KrishiOutbox;
+  const i18n = self.KrishiI18n;
+  const { t } = i18n;
+  const $ = id => document.getElementById(id);
+
+  let token = null;
+  let sessionId = null;
+  let phone = null;
+  let photo = null;
+  let voiceNote = null;
+  let recorder = null;
+
+  function show(id, visible) {
+    $(id).classList.toggle('hidden', !visible);
+  }
+
+  function setMessage(id, text) {
+    $(id).textContent = text || '';
+  }
+
+  // Text set from code keeps its key so a language switch can redo it
+  function setText(id, key, params) {
+    const el = $(id);
+    el.dataset.i18n = key;
+    el.textContent = t(key, params);
+  }
+
+  async function api(path, { method = 'GET', body } = {}) {
+    const response = await fetch(path, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401 && token) {
+      await signOut();
+    }
+    if (!response.ok) {
+      const error = new Error(data.error || `Request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /* Sign-in */
+
+  async function onLogin(event) {
+    event.preventDefault();
+    const otp = $('otp').value.trim();
+    try {
+      if (!phone) {
+        phone = $('phone').value.trim();
+        // Known numbers log in, new ones register; both send a code
+        await api('/api/auth/login', { method: 'POST', body: { phone } }).catch(error => {
+          if (error.status !== 404) throw error;
+          return api('/api/auth/register', { method: 'POST', body: { phone } });
+        });
+        show('otp-group', true);
+        setText('login-button', 'login.verify');
+        setMessage('login-message', t('login.codeSent'));
+        return;
+      }
+      // A new account starts out in the language chosen on this screen
+      const result = await api('/api/auth/verify', { method: 'POST', body: { phone, otp, preferredLanguage: i18n.language() } });
+      token = result.token;
+      await db.put('settings', token, 'token');
+      startApp();
+    } catch (error) {
+      // Let the farmer correct the number if no code could be sent
+      if ($('otp-group').classList.contains('hidden')) phone = null;
+      setMessage('login-message', error.message);
+    }
+  }
+
+  async function signOut() {
+    if (token) {
+      await fetch('/api/auth/logout', { method: 'POST', headers: { Authorization: `Bearer ${token}` } }).catch(() => {});
+    }
+    token = null;
+    phone = null;
+    await db.remove('settings', 'token');
+    await db.clear('answers');
+    navigator.serviceWorker?.controller?.postMessage({ type: 'signed-out' });
+    $('history-list').innerHTML = '';
+    show('app-section', false);
+    show('login-section', true);
+    show('otp-group', false);
+    setText('login-button', 'login.sendCode');
+  }
+
+  /* Asking */
+
+  async function onPhotoSelected() {
+    const file = $('image').files[0];
+    photo = null;
+    show('photo-preview', false);
+    if (!file) return;
+
+    setText('image-label', 'form.photoPreparing');
+    try {
+      photo = await self.KrishiCompress.compressImage(file);
+    } catch (error) {
+      photo = file;
+    }
+    const label = $('image-label');
+    delete label.dataset.i18n;
+    label.textContent = t('form.photoSize', { name: photo.name, size: Math.round(photo.size / 1024) });
+    $('photo-preview').src = URL.createObjectURL(photo);
+    show('photo-preview', true);
+  }
+
+  async function toggleRecording() {
+    const button = $('voice-button');
+    if (recorder) {
+      recorder.stop();
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const chunks = [];
+      recorder = new MediaRecorder(stream);
+      recorder.ondataavailable = event => chunks.push(event.data);
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        voiceNote = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        recorder = null;
+        button.classList.remove('recording');
+        setText('voice-button', 'form.recorded');
+      };
+      recorder.start();
+      button.classList.add('recording');
+      setText('voice-button', 'form.stopRecording');
+    } catch (error) {
+      setMessage('form-message', t('form.microphoneError'));
+    }
+  }
+
+  async function onAsk(event) {
+    event.preventDefault();
+    const queryText = $('queryText').value.trim();
+    if (!queryText && !photo && !voiceNote) {
+      setMessage('form-message', t('form.empty'));
+      return;
+    }
+
+    await outbox.enqueue({
+      fields: {
+        queryText,
+        crop: $('crop').value.trim(),
+        language: i18n.language(),
+        sessionId: sessionId || ''
+      },
+      image: photo,
+      audio: voiceNote
+    });
+
+    $('query-form').reset();
+    photo = null;
+    voiceNote = null;
+    show('photo-preview', false);
+    setText('image-label', 'form.photoLabel');
+    setText('voice-button', 'form.record');
+
+    if (navigator.onLine) {
+      setMessage('form-message', t('form.sending'));
+      await sendQueued();
+    } else {
+      setMessage('form-message', t('form.savedOffline'));
+      await requestBackgroundSync();
+      await renderQueue();
+    }
+  }
+
+  async function requestBackgroundSync() {
+    const registration = await navigator.serviceWorker?.ready;
+    if (registration?.sync) {
+      await registration.sync.register('query-outbox').catch(() => {});
+    }
+  }
+
+  async function sendQueued() {
+    const results = await outbox.flush();
+    handleFlushed(results);
+  }
+
+  function handleFlushed(results) {
+    const latest = results.sent[results.sent.length - 1];
+    if (latest) {
+      sessionId = latest.reply.sessionId;
+      renderResponse(latest.reply);
+      setMessage('form-message', results.sent.length > 1 ? t('form.answeredMany', { count: results.sent.length }) : '');
+    } else if (results.failed.length) {
+      setMessage('form-message', t('form.failed'));
+    } else if (results.waiting) {
+      setMessage('form-message', t('form.unreachable'));
+    }
+    renderQueue();
+    renderHistory();
+  }
+
+  /* Showing answers */
+
+  function renderResponse(reply) {
+    setText('response-status', `status.${reply.status}`);
+    $('response-status').className = `status-badge status-${reply.status === 'escalated' ? 'escalated' : 'answered'}`;
+    const confidence = reply.confidence || 0;
+    $('confidence-fill').style.width = `${Math.round(confidence * 100)}%`;
+    $('confidence-meter').title = t('response.confidenceValue', {
+      percent: i18n.formatNumber(confidence, { style: 'percent' })
+    });
+    $('answer').textContent = reply.answer;
+
+    const list = $('recommendations');
+    list.innerHTML = '';
+    (reply.recommendations || []).forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+
+    const audio = $('answer-audio');
+    show('answer-audio', !!reply.audioUrl);
+    if (reply.audioUrl) audio.src = reply.audioUrl;
+    show('response-section', true);
+  }
+
+  async function renderQueue() {
+    const entries = await outbox.pending();
+    const list = $('queue-list');
+    list.innerHTML = '';
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = entry.fields.queryText || t(entry.image ? 'queue.photo' : 'queue.voice');
+      item.appendChild(text);
+      if (entry.error) {
+        const error = document.createElement('span');
+        error.className = 'error';
+        error.textContent = entry.error;
+        item.appendChild(error);
+      }
+      const discard = document.createElement('button');
+      discard.type = 'button';
+      discard.className = 'btn-secondary';
+      discard.textContent = t('queue.discard');
+      discard.addEventListener('click', async () => {
+        await outbox.discard(entry.id);
+        renderQueue();
+      });
+      item.appendChild(discard);
+      list.appendChild(item);
+    });
+    show('queue-status', entries.length > 0);
+  }
+
+  // Crops the app has no name for are shown as the server sent them
+  function cropName(crop) {
+    const name = t(`crop.${crop}`);
+    return name === `crop.${crop}` ? crop : name;
+  }
+
+  async function renderHistory() {
+    const answers = (await db.getAll('answers')).sort((a, b) => b.askedAt.localeCompare(a.askedAt));
+    const list = $('history-list');
+    list.innerHTML = '';
+    answers.slice(0, 50).forEach(record => {
+      const item = document.createElement('article');
+      item.className = 'history-item';
+      const question = document.createElement('div');
+      question.className = 'question';
+      question.textContent = record.question || t(record.hasPhoto ? 'history.photo' : 'history.voice');
+      const answer = document.createElement('div');
+      answer.textContent = record.reply?.answer || '';
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      meta.textContent = [i18n.formatDate(record.askedAt), record.crop && cropName(record.crop)].filter(Boolean).join(' · ');
+      item.append(question, answer, meta);
+      item.addEventListener('click', () => renderResponse(record.reply));
+      list.appendChild(item);
+    });
+  }
+
+  // Pulls answers given on other devices, or before this phone cached them
+  async function syncHistory() {
+    if (!navigator.onLine) return;
+    try {
+      const { queries } = await api('/api/farmers/me/queries?limit=50');
+      for (const query of queries) {
+        if (!query.reply) continue;
+        await db.put('answers', {
+          id: String(query.id),
+          askedAt: query.timestamp,
+          question: query.queryText,
+          crop: query.crop,
+          hasPhoto: false,
+          reply: query.reply
+        });
+      }
+      renderHistory();
+    } catch (error) {
+      // History stays as cached
+    }
+  }
+
+  /* Language */
+
+  async function setLanguage(language, { save = true } = {}) {
+    await i18n.load(language);
+    $('ui-language').value = i18n.language();
+    i18n.apply();
+    renderQueue();
+    renderHistory();
+    await db.put('settings', i18n.language(), 'language');
+    if (save && token) {
+      api('/api/farmers/me', { method: 'PUT', body: { preferredLanguage: i18n.language() } }).catch(() => {});
+    }
+  }
+
+  // The profile wins over the phone, so a farmer signing in on a new phone
+  // gets their own language
+  async function syncLanguage() {
+    if (!navigator.onLine) return;
+    try {
+      const { farmer } = await api('/api/farmers/me');
+      if (farmer.preferredLanguage && farmer.preferredLanguage !== i18n.language()) {
+        await setLanguage(farmer.preferredLanguage, { save: false });
+      } else if (!farmer.preferredLanguage) {
+        api('/api/farmers/me', { method: 'PUT', body: { preferredLanguage: i18n.language() } }).catch(() => {});
+      }
+    } catch (error) {
+      // Keep the language chosen on this phone
+    }
+  }
+
+  /* Connectivity */
+
+  function updateConnection() {
+    show('connection-banner', !navigator.onLine);
+    if (navigator.onLine && token) {
+      sendQueued();
+      syncHistory();
+    }
+  }
+
+  async function startApp() {
+    show('login-section', false);
+    show('app-section', true);
+    await renderQueue();
+    await renderHistory();
+    updateConnection();
+    syncLanguage();
+  }
+
+  async function init() {
+    $('login-form').addEventListener('submit', onLogin);
+    $('query-form').addEventListener('submit', onAsk);
+    $('image').addEventListener('change', onPhotoSelected);
+    $('voice-button').addEventListener('click', toggleRecording);
+    $('logout-button').addEventListener('click', signOut);
+    $('ui-language').addEventListener('change', event => setLanguage(event.target.value));
+    window.addEventListener('online', updateConnection);
+    window.addEventListener('offline', updateConnection);
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error));
+      navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data?.type === 'outbox-flushed') handleFlushed(event.data.results);
+      });
+    }
+
+    const saved = await db.get('settings', 'language');
+    const browserLanguage = (navigator.languages || [navigator.language]).map(tag => tag.slice(0, 2)).find(l => i18n.languages.includes(l));
+    await setLanguage(saved || browserLanguage || 'en', { save: false });
+
+    token = await db.get('settings', 'token');
+    if (token) {
+      startApp();
+    } else {
+      show('login-section', true);
+      show('connection-banner', !navigator.onLine);
+    }
+  }
+
+  init();
+})();
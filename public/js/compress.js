@@ -0,0 +1,54 @@
+/**
+ * Shrinks photos on the phone before they are queued or uploaded. Camera
+ * pictures are often 4-8 MB; the disease classifier needs far less, and a
+ * small file is what gets through on a weak connection.
+ */
+(function (scope) {
+  const maxSide = 1280;
+  const quality = 0.75;
+
+  async function loadImage(file) {
+    if (scope.createImageBitmap) {
+      try {
+        return await createImageBitmap(file, { imageOrientation: 'from-image' });
+      } catch (error) {
+        // Some browsers reject the options; fall through to an <img>
+      }
+    }
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not read the photo'));
+      };
+      img.src = url;
+    });
+  }
+
+  // Resolves to a JPEG no larger than maxSide on its longest side, or the
+  // original file if that is already smaller
+  async function compressImage(file) {
+    if (!file || !file.type.startsWith('image/')) return file;
+
+    const image = await loadImage(file);
+    const scale = Math.min(1, maxSide / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    if (image.close) image.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (!blob || blob.size >= file.size) return file;
+
+    const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+  }
+
+  scope.KrishiCompress = { compressImage };
+})(self);
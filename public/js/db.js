@@ -0,0 +1,51 @@
+/**
+ * IndexedDB storage shared by the page and the service worker.
+ *
+ * outbox   - queries waiting for a connection, with their photo and voice note
+ * answers  - answered queries, kept so history can be read offline
+ * settings - small values such as the sign-in token
+ */
+(function (scope) {
+  const dbName = 'krishi-mitra';
+  const dbVersion = 1;
+  let opening = null;
+
+  function open() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, dbVersion);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('outbox', { keyPath: 'id' });
+          db.createObjectStore('answers', { keyPath: 'id' });
+          db.createObjectStore('settings');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          opening = null;
+          reject(request.error);
+        };
+      });
+    }
+    return opening;
+  }
+
+  async function run(storeName, mode, action) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  scope.KrishiDB = {
+    get: (storeName, key) => run(storeName, 'readonly', store => store.get(key)),
+    getAll: storeName => run(storeName, 'readonly', store => store.getAll()),
+    put: (storeName, value, key) => run(storeName, 'readwrite', store => key === undefined ? store.put(value) : store.put(value, key)),
+    remove: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)),
+    clear: storeName => run(storeName, 'readwrite', store => store.clear())
+  };
+})(self);
@@ -0,0 +1,78 @@
+/**
+ * UI text in English, Malayalam and Hindi from /locales/<language>.json.
+ *
+ * Elements name their text with data-i18n (and data-i18n-placeholder,
+ * data-i18n-label, data-i18n-alt for attributes); apply() fills them in.
+ * Strings may hold {placeholders}, and plural strings are objects keyed by
+ * Intl.PluralRules category. Missing keys fall back to English.
+ */
+(function (scope) {
+  const languages = ['en', 'ml', 'hi'];
+  const localeTags = { en: 'en-IN', ml: 'ml-IN', hi: 'hi-IN' };
+  const catalogues = {};
+  let current = 'en';
+
+  async function fetchCatalogue(language) {
+    if (!catalogues[language]) {
+      const response = await fetch(`/locales/${language}.json`);
+      if (!response.ok) throw new Error(`Could not load ${language} text`);
+      catalogues[language] = await response.json();
+    }
+    return catalogues[language];
+  }
+
+  async function load(language) {
+    const next = languages.includes(language) ? language : 'en';
+    await fetchCatalogue('en');
+    try {
+      await fetchCatalogue(next);
+      current = next;
+    } catch (error) {
+      current = 'en';
+    }
+    return current;
+  }
+
+  function t(key, params = {}) {
+    let text = catalogues[current]?.[key] ?? catalogues.en?.[key] ?? key;
+    if (typeof text === 'object') {
+      text = text[new Intl.PluralRules(localeTags[current]).select(params.count)] || text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  }
+
+  function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(localeTags[current], options).format(value);
+  }
+
+  function formatDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    return new Intl.DateTimeFormat(localeTags[current], options).format(new Date(value));
+  }
+
+  // The lang attribute also picks the script's font in styles.css
+  function apply(root = document) {
+    document.documentElement.lang = current;
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    [['i18nPlaceholder', 'placeholder'], ['i18nLabel', 'label'], ['i18nAlt', 'alt']].forEach(([data, attribute]) => {
+      root.querySelectorAll(`[data-${data.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`).forEach(el => {
+        el.setAttribute(attribute, t(el.dataset[data]));
+      });
+    });
+  }
+
+  scope.KrishiI18n = {
+    languages,
+    load,
+    t,
+    apply,
+    formatNumber,
+    formatDate,
+    language: () => current
+  };
+})(self);
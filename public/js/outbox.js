@@ -0,0 +1,115 @@
+/**
+ * Queries asked while offline, kept in IndexedDB until they can be sent to
+ * /api/query. Both the page and the service worker flush the outbox, so each
+ * entry carries a clientRequestId and the server answers a repeat from its
+ * stored reply instead of processing the question twice.
+ */
+(function (scope) {
+  const db = scope.KrishiDB;
+  let flushing = null;
+
+  async function enqueue({ fields, image = null, audio = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      fields,
+      image,
+      audio,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      error: null
+    };
+    await db.put('outbox', entry);
+    return entry;
+  }
+
+  async function pending() {
+    const entries = await db.getAll('outbox');
+    return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function send(entry, token) {
+    const form = new FormData();
+    Object.entries(entry.fields).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== '') form.append(name, value);
+    });
+    form.append('clientRequestId', entry.id);
+    if (entry.image) form.append('image', entry.image, entry.image.name || 'photo.jpg');
+    if (entry.audio) form.append('audio', entry.audio, 'voice-note.webm');
+
+    return fetch('/api/query', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: form
+    });
+  }
+
+  // An answered query in the shape history is kept in
+  function answerRecord(entry, reply) {
+    return {
+      id: String(reply.queryId),
+      askedAt: entry.createdAt,
+      question: entry.fields.queryText || '',
+      crop: entry.fields.crop || reply.context?.detectedCrop || null,
+      hasPhoto: !!entry.image,
+      reply
+    };
+  }
+
+  // Oldest first. Stops at the first network failure (still offline), an
+  // expired sign-in or a busy server; a query the server rejects outright is
+  // kept with its error so the farmer can see it and discard it.
+  async function sendPending() {
+    const results = { sent: [], failed: [], remaining: 0, waiting: 0 };
+    const token = await db.get('settings', 'token');
+
+    if (token) {
+      for (const entry of await pending()) {
+        if (entry.error) continue;
+
+        let response;
+        try {
+          response = await send(entry, token);
+        } catch (error) {
+          break;
+        }
+        if (response.status === 401) break;
+        if (response.status === 429 || response.status >= 500) {
+          await db.put('outbox', { ...entry, attempts: entry.attempts + 1 });
+          break;
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          await db.put('outbox', { ...entry, attempts: entry.attempts + 1, error: body.error || `Request failed (${response.status})` });
+          results.failed.push(entry.id);
+          continue;
+        }
+
+        await db.put('answers', answerRecord(entry, body));
+        await db.remove('outbox', entry.id);
+        results.sent.push({ id: entry.id, reply: body });
+      }
+    }
+
+    const left = await pending();
+    results.remaining = left.length;
+    results.waiting = left.filter(entry => !entry.error).length;
+    return results;
+  }
+
+  function flush() {
+    if (!flushing) {
+      flushing = sendPending().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  scope.KrishiOutbox = {
+    enqueue,
+    pending,
+    flush,
+    discard: id => db.remove('outbox', id)
+  };
+})(self);
@@ -0,0 +1,108 @@
+/**
+ * Service worker for the farmer app.
+ *
+ * - The app shell is precached, so the app opens with no connection.
+ * - Reads from the API go to the network first and fall back to the last
+ *   response seen, so profile and history stay readable offline.
+ * - Queued queries are sent on Background Sync where the browser supports it;
+ *   elsewhere the page flushes the outbox itself when it comes back online.
+ */
+importScripts('/js/db.js', '/js/outbox.js');
+
+const shellCache = 'krishi-mitra-shell-v2';
+const apiCache = 'krishi-mitra-api-v1';
+const shellFiles = [
+  '/',
+  '/index.html',
+  '/styles.css',
+  '/app.js',
+  '/js/db.js',
+  '/js/i18n.js',
+  '/js/outbox.js',
+  '/js/compress.js',
+  '/locales/en.json',
+  '/locales/ml.json',
+  '/locales/hi.json',
+  '/manifest.webmanifest',
+  '/icons/icon.svg'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(shellCache).then(cache => cache.addAll(shellFiles)).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => ![shellCache, apiCache].includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(apiCache);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    return new Response(JSON.stringify({ error: 'You are offline', offline: true }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Serve the cached copy at once and refresh it in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(shellCache);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  return cached || (await refresh) || caches.match('/index.html');
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/audio/')) {
+    event.respondWith(caches.match(request).then(cached => cached || networkFirst(request)));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+async function flushAndNotify() {
+  const results = await self.KrishiOutbox.flush();
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: 'outbox-flushed', results }));
+  // Failing the sync makes the browser retry later while queries still wait
+  if (results.waiting) throw new Error('Queries still waiting to be sent');
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === 'query-outbox') {
+    event.waitUntil(flushAndNotify());
+  }
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'flush-outbox') {
+    event.waitUntil(flushAndNotify().catch(() => {}));
+  } else if (event.data?.type === 'signed-out') {
+    // Another farmer may use this phone next
+    event.waitUntil(caches.delete(apiCache));
+  }
+});
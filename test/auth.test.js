@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freezeClock, startApp } = require('./support');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('accepts the deployment admin token', async () => {
+  const { status } = await app.request('GET', '/api/escalations', { admin: true });
+
+  assert.equal(status, 200);
+});
+
+test('rejects a wrong admin token, including one of a different length', async () => {
+  for (const token of ['test-admin-tokem', 'x', '']) {
+    const { status } = await app.request('GET', '/api/escalations', { headers: { 'x-admin-token': token } });
+    assert.equal(status, 401, `"${token}" is rejected`);
+  }
+});
+
+test('signs a farmer in with the code sent by SMS', async () => {
+  const token = await app.signIn('9876543210', { name: 'Ravi' });
+
+  const { status, body } = await app.request('GET', '/api/farmers/me', { token });
+
+  assert.equal(status, 200);
+  assert.equal(body.farmer.phone, '+919876543210');
+  assert.equal(body.farmer.name, 'Ravi');
+});
+
+test('rejects a wrong sign-in code', async () => {
+  await app.request('POST', '/api/auth/register', { body: { phone: '9876543299' } });
+
+  const { status } = await app.request('POST', '/api/auth/verify', { body: { phone: '9876543299', otp: '000000x' } });
+
+  assert.equal(status, 401);
+});
+
+test('stops sending codes to a number after too many in an hour', async () => {
+  const clock = freezeClock(Date.now());
+  const requestCode = () => app.request('POST', '/api/auth/register', { body: { phone: '9876543201' } });
+
+  for (let code = 0; code < 5; code++) {
+    assert.equal((await requestCode()).status, 200);
+    clock.advance(31000);
+  }
+  const refused = await requestCode();
+  clock.advance(3600000);
+  const later = await requestCode();
+
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.error, /Too many codes/);
+  assert.equal(later.status, 200);
+});
+
+test('locks a number out after too many wrong codes in an hour', async () => {
+  const clock = freezeClock(Date.now());
+  const phone = '9876543202';
+  const verify = otp => app.request('POST', '/api/auth/verify', { body: { phone, otp } });
+
+  for (let round = 0; round < 2; round++) {
+    await app.request('POST', '/api/auth/register', { body: { phone } });
+    for (let guess = 0; guess < 5; guess++) {
+      assert.equal((await verify(`00000${guess}`)).status, 401);
+    }
+    clock.advance(31000);
+  }
+  const code = app.readCollection('smsOutbox').filter(sms => sms.phone.endsWith(phone)).pop().message.match(/\d{6}/)[0];
+
+  const locked = await verify(code);
+  const resent = await app.request('POST', '/api/auth/register', { body: { phone } });
+
+  assert.equal(locked.status, 429);
+  assert.equal(resent.status, 429);
+});
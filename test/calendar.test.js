@@ -0,0 +1,27 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { smallHoursIst, addDays, freezeClock, startApp } = require('./support');
+
+let app;
+
+before(async () => {
+  freezeClock(smallHoursIst);
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('due dates fall on the local calendar day in India', async () => {
+  const token = await app.signIn('9876543210', { name: 'Ravi' });
+  await app.request('POST', '/api/farmers/me/crops', { token, body: { crop: 'banana', sowingDate: '2026-10-10' } });
+  const { body: { farmer } } = await app.request('GET', '/api/farmers/me', { token });
+
+  const { status, body } = await app.request('GET', `/api/calendar/${farmer.id}`, { token });
+
+  assert.equal(status, 200);
+  const upcoming = body.crops.flatMap(crop => crop.upcoming);
+  assert.ok(upcoming.length > 0);
+  for (const entry of upcoming) {
+    assert.equal(entry.dueDate, addDays('2026-10-20', entry.daysUntil), entry.task);
+  }
+});
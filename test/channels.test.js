@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { scratchDir, bootApp, startApp } = require('./support');
+
+const secrets = { WHATSAPP_APP_SECRET: 'whatsapp-app-secret', SMS_WEBHOOK_SECRET: 'sms-webhook-secret', WHATSAPP_VERIFY_TOKEN: 'verify-me' };
+
+let app;
+
+before(async () => {
+  app = await startApp({ MESSAGING_CHANNELS: 'simulator,whatsapp,sms', ...secrets });
+});
+
+after(() => app.close());
+
+const sign = (body, secret = secrets.WHATSAPP_APP_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Settles the responses to webhooks acknowledged before they were answered
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const result = check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+test('accepts a WhatsApp delivery signed with the app secret', async () => {
+  const body = JSON.stringify({ entry: [] });
+
+  const { status } = await app.request('POST', '/api/channels/whatsapp/webhook', {
+    body,
+    headers: { 'x-hub-signature-256': sign(body) }
+  });
+
+  assert.equal(status, 200);
+});
+
+test('rejects a WhatsApp delivery with a wrong or missing signature', async () => {
+  const body = JSON.stringify({ entry: [] });
+  const forged = [sign(body, 'not-the-secret'), sign('{"entry":[{}]}'), 'sha256=abc', undefined];
+
+  for (const signature of forged) {
+    const { status } = await app.request('POST', '/api/channels/whatsapp/webhook', {
+      body,
+      headers: signature ? { 'x-hub-signature-256': signature } : {}
+    });
+    assert.equal(status, 401, `signature ${signature} is rejected`);
+  }
+});
+
+test('rejects every webhook while the channel secret is unset', async t => {
+  const body = JSON.stringify({ entry: [] });
+  delete process.env.WHATSAPP_APP_SECRET;
+  delete process.env.SMS_WEBHOOK_SECRET;
+  t.after(() => Object.assign(process.env, secrets));
+
+  const whatsapp = await app.request('POST', '/api/channels/whatsapp/webhook', { body, headers: { 'x-hub-signature-256': sign(body) } });
+  const sms = await app.request('POST', '/api/channels/sms/webhook', { body: { from: '+919876543299', text: 'hello' } });
+
+  assert.equal(whatsapp.status, 401);
+  assert.equal(sms.status, 401);
+});
+
+test('answers an SMS only when the gateway presents the webhook secret', async () => {
+  const message = { from: '+919876543299', text: 'fertilizer for rice' };
+  const toFarmer = () => app.readCollection('smsOutbox').filter(sms => sms.phone === message.from);
+
+  const wrong = await app.request('POST', '/api/channels/sms/webhook', { body: message, headers: { 'x-webhook-secret': 'guess' } });
+  const inQuery = await app.request('POST', `/api/channels/sms/webhook?secret=${secrets.SMS_WEBHOOK_SECRET}`, { body: message });
+  const right = await app.request('POST', '/api/channels/sms/webhook', { body: message, headers: { 'x-webhook-secret': secrets.SMS_WEBHOOK_SECRET } });
+
+  assert.equal(wrong.status, 401);
+  assert.equal(inQuery.status, 401);
+  assert.equal(right.status, 200);
+  assert.equal(right.body.received, 1);
+  const replies = await waitFor(() => toFarmer().length && toFarmer());
+  assert.ok(replies, 'the farmer is answered by SMS');
+  assert.match(replies[0].message, /rice/);
+});
+
+test('completes the WhatsApp subscription handshake only with the verify token', async () => {
+  const handshake = token => app.request('GET', `/api/channels/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=${token}&hub.challenge=1234`);
+
+  const right = await handshake(secrets.WHATSAPP_VERIFY_TOKEN);
+  const wrong = await handshake('verify-you');
+
+  assert.equal(right.status, 200);
+  assert.equal(right.body, 1234);
+  assert.equal(wrong.status, 403);
+});
+
+test('warns at startup about an enabled channel without its secret', () => {
+  const { status, stderr } = bootApp(scratchDir(), { MESSAGING_CHANNELS: 'whatsapp,sms', WHATSAPP_APP_SECRET: '', SMS_WEBHOOK_SECRET: 'set' });
+
+  assert.equal(status, 0);
+  assert.match(stderr, /The whatsapp channel is enabled but WHATSAPP_APP_SECRET is not set/);
+  assert.doesNotMatch(stderr, /The sms channel/);
+});
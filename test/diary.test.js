@@ -0,0 +1,29 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { smallHoursIst, freezeClock, startApp } = require('./support');
+
+let app;
+let token;
+
+before(async () => {
+  freezeClock(smallHoursIst);
+  app = await startApp();
+  token = await app.signIn('9876543210', { name: 'Ravi' });
+});
+
+after(() => app.close());
+
+test('dates an entry without a date, and accepts one dated today, on the local day', async () => {
+  const { body: { plot } } = await app.request('POST', '/api/farmers/me/plots', { token, body: { name: 'North field', crop: 'banana' } });
+  const activities = `/api/farmers/me/plots/${plot.id}/activities`;
+  const today = '2026-10-20';
+
+  const undated = await app.request('POST', activities, { token, body: { type: 'irrigation' } });
+  const dated = await app.request('POST', activities, { token, body: { type: 'weeding', date: today } });
+
+  assert.equal(undated.status, 201);
+  assert.equal(undated.body.activity.date, today);
+  assert.equal(dated.status, 201, JSON.stringify(dated.body));
+  const { body } = await app.request('GET', activities, { token });
+  assert.deepEqual(body.activities.map(a => a.date), [today, today]);
+});
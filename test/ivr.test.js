@@ -0,0 +1,151 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { scratchDir, bootApp, startApp } = require('./support');
+
+const webhookSecret = 'ivr-webhook-secret';
+const recordingAuth = 'Basic cHJvdmlkZXI6c2VjcmV0';
+
+let app;
+let provider;
+let storage;
+let elsewhere;
+
+// Stand-ins for the telephony provider, which serves recordings (or redirects
+// to them), for its storage on another origin, and for some other server.
+// Each notes what it was sent.
+function recordingServer(route) {
+  const server = http.createServer((req, res) => {
+    server.requests.push({ url: req.url, authorization: req.headers.authorization || null });
+    route(req, res);
+  });
+  server.requests = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.origin = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
+
+before(async () => {
+  storage = await recordingServer((req, res) => res.end('recording'));
+  elsewhere = await recordingServer((req, res) => res.end('recording'));
+  provider = await recordingServer((req, res) => {
+    if (req.url === '/recordings/moved.wav') {
+      res.writeHead(302, { location: `${storage.origin}/bucket/moved.wav` });
+      return res.end();
+    }
+    if (req.url === '/recordings/elsewhere.wav') {
+      res.writeHead(302, { location: `${elsewhere.origin}/internal/secret.wav` });
+      return res.end();
+    }
+    res.end('recording');
+  });
+  app = await startApp({
+    IVR_ENABLED: 'true',
+    IVR_WEBHOOK_SECRET: webhookSecret,
+    IVR_RECORDING_ORIGIN: provider.origin,
+    IVR_RECORDING_STORAGE_ORIGIN: storage.origin,
+    IVR_RECORDING_AUTH: recordingAuth
+  });
+});
+
+after(() => {
+  app.close();
+  provider.close();
+  storage.close();
+  elsewhere.close();
+});
+
+const send = (body, secret = webhookSecret) =>
+  app.request('POST', '/api/ivr/events', { body, headers: secret === null ? {} : { 'x-webhook-secret': secret } });
+
+// Starts a call from a new number and picks English, up to the question prompt
+async function callAndChooseEnglish(callId, from) {
+  const started = await send({ event: 'call.started', callId, from });
+  assert.equal(started.body.state, 'language');
+  assert.equal(started.body.actions.at(-1).type, 'gather');
+
+  const chosen = await send({ event: 'input', callId, digits: '3' });
+  assert.equal(chosen.body.state, 'recording');
+  assert.equal(chosen.body.actions.at(-1).type, 'record');
+}
+
+test('rejects call events without the webhook secret', async () => {
+  for (const secret of [null, 'guess', '']) {
+    const { status } = await send({ event: 'call.started', callId: 'call-forged', from: '+919812345600' }, secret);
+    assert.equal(status, 401, `secret "${secret}" is rejected`);
+  }
+  assert.equal(app.readCollection('calls').length, 0);
+});
+
+test('rejects every call event while the webhook secret is unset', async t => {
+  delete process.env.IVR_WEBHOOK_SECRET;
+  t.after(() => { process.env.IVR_WEBHOOK_SECRET = webhookSecret; });
+
+  const { status } = await send({ event: 'call.started', callId: 'call-open', from: '+919812345600' }, null);
+
+  assert.equal(status, 401);
+});
+
+test('answers a recorded question and says goodbye', async () => {
+  await callAndChooseEnglish('call-1', '+919812345601');
+
+  const answered = await send({ event: 'recording', callId: 'call-1', recordingUrl: `${provider.origin}/recordings/1.wav` });
+
+  assert.equal(answered.body.state, 'answered');
+  assert.equal(answered.body.actions[0].type, 'play');
+  assert.ok(answered.body.actions[0].text);
+  assert.deepEqual(provider.requests.at(-1), { url: '/recordings/1.wav', authorization: recordingAuth });
+
+  const ended = await send({ event: 'input', callId: 'call-1', digits: '3' });
+  assert.equal(ended.body.state, 'ended');
+  assert.equal(ended.body.actions.at(-1).type, 'hangup');
+});
+
+test('does not fetch a recording from any other origin', async () => {
+  await callAndChooseEnglish('call-2', '+919812345602');
+
+  const { body } = await send({ event: 'recording', callId: 'call-2', recordingUrl: `${storage.origin}/internal/secret.wav` });
+
+  assert.equal(body.state, 'ended');
+  assert.equal(body.actions.at(-1).type, 'hangup');
+  assert.equal(storage.requests.length, 0);
+});
+
+test('follows a redirect to storage without the recording credentials', async () => {
+  await callAndChooseEnglish('call-3', '+919812345603');
+
+  const { body } = await send({ event: 'recording', callId: 'call-3', recordingUrl: `${provider.origin}/recordings/moved.wav` });
+
+  assert.equal(body.state, 'answered');
+  assert.deepEqual(storage.requests, [{ url: '/bucket/moved.wav', authorization: null }]);
+});
+
+test('does not follow a redirect to any other origin', async () => {
+  await callAndChooseEnglish('call-5', '+919812345605');
+
+  const { body } = await send({ event: 'recording', callId: 'call-5', recordingUrl: `${provider.origin}/recordings/elsewhere.wav` });
+
+  assert.equal(body.state, 'ended');
+  assert.equal(body.actions.at(-1).type, 'hangup');
+  assert.equal(elsewhere.requests.length, 0);
+});
+
+test('turns the hotline off with IVR_ENABLED', async t => {
+  process.env.IVR_ENABLED = 'false';
+  t.after(() => { process.env.IVR_ENABLED = 'true'; });
+
+  const webhook = await send({ event: 'call.started', callId: 'call-4', from: '+919812345604' });
+  const simulator = await app.request('POST', '/api/ivr/simulator/calls', { admin: true, body: { from: '+919812345604' } });
+
+  assert.equal(webhook.status, 404);
+  assert.deepEqual(webhook.body.actions, [{ type: 'hangup' }]);
+  assert.equal(simulator.status, 404);
+});
+
+test('warns at startup when the hotline is on without a webhook secret', () => {
+  const { status, stderr } = bootApp(scratchDir(), { IVR_ENABLED: 'true', IVR_WEBHOOK_SECRET: '' });
+
+  assert.equal(status, 0);
+  assert.match(stderr, /The voice hotline is enabled but IVR_WEBHOOK_SECRET is not set/);
+});
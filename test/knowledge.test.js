@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { root, scratchDir, startApp } = require('./support');
+
+// A copy of the knowledge files, so the tests can edit them
+const knowledgeDir = path.join(scratchDir(), 'knowledge');
+fs.cpSync(path.join(root, 'knowledge'), knowledgeDir, { recursive: true });
+const schemesFile = path.join(knowledgeDir, 'schemes.json');
+const originalSchemes = JSON.parse(fs.readFileSync(schemesFile, 'utf8'));
+
+let app;
+let token;
+
+before(async () => {
+  app = await startApp({ KNOWLEDGE_DIR: knowledgeDir });
+  token = await app.signIn('9876543210');
+});
+
+after(() => app.close());
+
+const schemeNames = async () => {
+  const { body } = await app.request('GET', '/api/schemes/eligible', { token });
+  return body.schemes.map(scheme => scheme.name);
+};
+
+// Waits for the watcher to pick up an edit
+async function eventually(check) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    if (await check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return false;
+}
+
+test('reloads a knowledge file when it changes', async () => {
+  const added = { ...originalSchemes.schemes[0], id: 'test-scheme', name: 'Test Scheme' };
+  fs.writeFileSync(schemesFile, JSON.stringify({ ...originalSchemes, schemes: [...originalSchemes.schemes, added] }));
+
+  assert.ok(await eventually(async () => (await schemeNames()).includes('Test Scheme')));
+});
+
+test('keeps the last good copy when an edit is invalid', async () => {
+  const before = await schemeNames();
+
+  fs.writeFileSync(schemesFile, JSON.stringify({ schemes: 'none' }));
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  assert.deepEqual(await schemeNames(), before);
+});
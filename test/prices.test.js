@@ -0,0 +1,28 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { smallHoursIst, freezeClock, startApp } = require('./support');
+
+let app;
+
+before(async () => {
+  freezeClock(smallHoursIst);
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('accepts a bulletin dated today and ends the trend on the local day', async () => {
+  const today = '2026-10-20';
+  const csv = `Market,Commodity,Date,Min Price,Max Price,Modal Price,Unit\nErnakulam,Banana,${today},40,50,45,kg\n`;
+
+  const imported = await app.request('POST', '/api/admin/prices/import', { admin: true, body: csv, headers: { 'Content-Type': 'text/csv' } });
+  assert.equal(imported.status, 201, JSON.stringify(imported.body));
+
+  const { status, body } = await app.request('GET', '/api/prices?commodity=banana&market=ernakulam', { admin: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.latestByMarket[0].date, today);
+  const lastWeek = body.trend.weekly[body.trend.weekly.length - 1];
+  assert.equal(lastWeek.weekEnding, today);
+  assert.equal(lastWeek.averageModalPrice, 45);
+});
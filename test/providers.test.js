@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scratchDir, bootApp } = require('./support');
+
+const missingWhisper = { SPEECH_PROVIDER: 'whisper', WHISPER_BIN: '/nonexistent/whisper-cli' };
+
+test('falls back to the fixture speech provider when whisper is missing', () => {
+  const { status, stderr } = bootApp(scratchDir(), missingWhisper);
+
+  assert.equal(status, 0);
+  assert.match(stderr, /The whisper speech provider cannot run, not found: \/nonexistent\/whisper-cli/);
+  assert.match(stderr, /Using the fixture speech provider instead/);
+});
+
+test('refuses to start in production when whisper is missing', () => {
+  const { status, stderr } = bootApp(scratchDir(), { ...missingWhisper, NODE_ENV: 'production' });
+
+  assert.notEqual(status, 0);
+  assert.match(stderr, /The whisper speech provider cannot run/);
+});
+
+test('starts quietly when the configured providers are available', () => {
+  const { status, stderr } = bootApp(scratchDir());
+
+  assert.equal(status, 0);
+  assert.doesNotMatch(stderr, /cannot run/);
+});
+
+test('falls back to the fixture speech synthesis provider when espeak is missing', () => {
+  const { status, stderr } = bootApp(scratchDir(), { TTS_PROVIDER: 'espeak', ESPEAK_BIN: 'no-such-espeak' });
+
+  assert.equal(status, 0);
+  assert.match(stderr, /The espeak speech synthesis provider cannot run, not found: no-such-espeak/);
+});
+
+test('falls back to the fixture image classifier when the model is missing', () => {
+  const { status, stderr } = bootApp(scratchDir(), { IMAGE_CLASSIFIER: 'onnx', IMAGE_MODEL: '/nonexistent/plant-disease.onnx' });
+
+  assert.equal(status, 0);
+  assert.match(stderr, /The onnx:plant-disease.onnx image provider cannot run, not found: \/nonexistent\/plant-disease.onnx/);
+});
+
+test('refuses to start in production with the glossary translation engine', () => {
+  const { status, stderr } = bootApp(scratchDir(), { NODE_ENV: 'production' });
+
+  assert.notEqual(status, 0);
+  assert.match(stderr, /The glossary translation engine leaves answers in English/);
+});
+
+test('falls back to the glossary engine when the translation binary is missing', () => {
+  const { status, stderr } = bootApp(scratchDir(), { TRANSLATION_ENGINE: 'subprocess', TRANSLATE_BIN: 'no-such-translator' });
+
+  assert.equal(status, 0);
+  assert.match(stderr, /The subprocess translation provider cannot run, not found: no-such-translator\. Using the glossary translation provider instead\./);
+});
+
+test('refuses to start in production with the stub SMS provider', () => {
+  const { status, stderr } = bootApp(scratchDir(), { NODE_ENV: 'production', TRANSLATION_ENGINE: 'subprocess', TRANSLATE_BIN: 'cat' });
+
+  assert.notEqual(status, 0);
+  assert.match(stderr, /The stub SMS provider sends nothing/);
+});
@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+let app;
+let token;
+
+before(async () => {
+  app = await startApp();
+  token = await app.signIn('9876543210', { name: 'Ravi' });
+});
+
+after(() => app.close());
+
+const ask = (body, as = token) => app.request('POST', '/api/query', { token: as, body });
+
+test('answers a disease named in the singular with the structured treatment', async () => {
+  const { status, body } = await ask({ queryText: 'my banana has leaf spot what to do' });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'answered');
+  assert.match(body.answer, /Copper oxychloride/);
+  assert.equal(body.advice.diagnosis.disease, 'leaf spot');
+  assert.ok(body.advice.treatment.products.length > 0);
+});
+
+test('continues the previous topic on a follow-up without keywords', async () => {
+  const first = await ask({ queryText: 'my banana has leaf spot what to do' });
+
+  const { body } = await ask({ queryText: 'what about the dosage?', sessionId: first.body.sessionId });
+
+  assert.equal(body.sessionId, first.body.sessionId);
+  assert.doesNotMatch(body.answer, /more specific details/);
+  assert.equal(body.advice.treatment.target, 'leaf spot');
+});
+
+test('matches intent keywords only at the start of a word', async () => {
+  const whole = await ask({ queryText: 'the whole banana plant is wilting' });
+  const holes = await ask({ queryText: 'there are holes in my banana leaves' });
+
+  const { body } = await app.request('GET', '/api/farmers/me/queries', { token });
+
+  const intentOf = id => body.queries.find(query => query.id === id).intent;
+  assert.equal(intentOf(whole.body.queryId), 'disease_diagnosis');
+  assert.equal(intentOf(holes.body.queryId), 'pest_control');
+});
+
+test('asks for the crop when it is missing and uses the reply', async () => {
+  // A new farmer, so no crop is known from the profile or earlier questions
+  const newFarmer = await app.signIn('9876543211');
+  const first = await ask({ queryText: 'leaf spot what should i do' }, newFarmer);
+  assert.equal(first.body.status, 'needs_clarification');
+  assert.deepEqual(first.body.clarification.missing, ['crop']);
+
+  const { body } = await ask({ queryText: 'banana', sessionId: first.body.sessionId }, newFarmer);
+
+  assert.equal(body.status, 'answered');
+  assert.match(body.answer, /leaf spot in banana/);
+});
+
+test('takes the reply to the location question as a district in Kerala', async () => {
+  const newFarmer = await app.signIn('9876543212');
+  const first = await ask({ queryText: 'which government schemes can I get?' }, newFarmer);
+  assert.equal(first.body.status, 'needs_clarification');
+  assert.deepEqual(first.body.clarification.missing, ['location']);
+
+  const { body } = await ask({ queryText: 'Palakkad', sessionId: first.body.sessionId }, newFarmer);
+
+  assert.equal(body.status, 'answered');
+  // Kerala-only schemes are offered once the district places the farmer in Kerala
+  assert.match(body.answer, /eligible for: Krishi Bhavan Support/);
+  assert.match(body.answer, /Organic Farming Subsidy/);
+});
+
+test('records feedback against the query id it returned', async () => {
+  const first = await ask({ queryText: 'fertilizer for rice' });
+  assert.match(first.body.queryId, /^[0-9a-f-]{36}$/);
+
+  const { status, body } = await app.request('POST', '/api/feedback', { token, body: { queryId: first.body.queryId, rating: 4 } });
+
+  assert.equal(status, 200);
+  assert.equal(body.queryId, first.body.queryId);
+});
+
+test('replays the stored reply for a repeated clientRequestId', async () => {
+  const first = await ask({ queryText: 'fertilizer for rice', clientRequestId: 'outbox-1' });
+
+  const { body } = await ask({ queryText: 'fertilizer for rice', clientRequestId: 'outbox-1' });
+
+  assert.equal(body.queryId, first.body.queryId);
+  assert.equal(body.replayed, true);
+});
+
+test('answers a voice note through the speech provider', async () => {
+  const form = new FormData();
+  form.append('audio', new Blob([Buffer.from('voice note')], { type: 'audio/ogg' }), 'note.ogg');
+  const response = await fetch(`${app.baseUrl}/api/query`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.processingDetails.voiceProcessed, true);
+  // The fixture transcript asks, in Malayalam, about leaf spot on banana
+  assert.equal(body.context.language, 'ml');
+  assert.equal(body.advice.diagnosis.crop, 'banana');
+});
+
+test('diagnoses a photo with the image classifier', async () => {
+  const form = new FormData();
+  form.append('crop', 'banana');
+  form.append('image', new Blob([Buffer.from('photo')], { type: 'image/jpeg' }), 'leaf.jpg');
+  const response = await fetch(`${app.baseUrl}/api/query`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.processingDetails.imageProcessed, true);
+  // The fixture classifier sees leaf spot in every photo
+  assert.match(body.answer, /Detected Leaf Spot in your banana/);
+});
+
+test('understands Malayalam typed in Latin letters', async () => {
+  const { body } = await ask({ queryText: 'ente vazhayil pulli rogam, enthu cheyyanam?' });
+
+  assert.equal(body.context.language, 'ml');
+  assert.equal(body.advice.diagnosis.crop, 'banana');
+  assert.equal(body.advice.diagnosis.disease, 'leaf spot');
+});
+
+test('keeps an English question with one local crop name in English', async () => {
+  const { body } = await ask({ queryText: 'my vazha has leaf spot what to do' });
+
+  assert.equal(body.context.language, 'en');
+});
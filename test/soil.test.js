@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { smallHoursIst, addDays, freezeClock, startApp } = require('./support');
+
+let app;
+let token;
+
+before(async () => {
+  freezeClock(smallHoursIst);
+  app = await startApp();
+  token = await app.signIn('9876543210', { name: 'Ravi' });
+});
+
+after(() => app.close());
+
+test('dates an undated soil test and the fertiliser schedule by the local day', async () => {
+  await app.request('POST', '/api/farmers/me/crops', { token, body: { crop: 'banana', sowingDate: '2026-10-10' } });
+
+  const upload = await app.request('POST', '/api/farmers/me/soil-tests', {
+    token,
+    body: { values: { ph: 5.8, nitrogen: 250, phosphorus: 20, potassium: 200 } }
+  });
+  assert.equal(upload.status, 201);
+  const [soilTest] = upload.body.soilTests;
+  assert.equal(soilTest.sampledAt, '2026-10-20');
+
+  const { status, body } = await app.request('GET', `/api/farmers/me/soil-tests/${soilTest.id}/recommendation`, { token });
+
+  assert.equal(status, 200);
+  const first = body.recommendation.schedule[0];
+  assert.equal(first.dueDate, addDays('2026-10-10', first.day));
+  assert.equal(body.recommendation.nextApplication.label, first.label);
+});
+
+test('accepts a soil test sampled earlier today, however it is written', async () => {
+  const upload = await app.request('POST', '/api/farmers/me/soil-tests', {
+    token,
+    body: { sampledAt: '2026-10-20T01:00:00+05:30', values: { ph: 6.5, nitrogen: 300, phosphorus: 25, potassium: 250 } }
+  });
+
+  assert.equal(upload.status, 201, JSON.stringify(upload.body));
+  assert.equal(upload.body.soilTests[0].sampledAt, '2026-10-20');
+});
+
+test('files soil tests only against the farmer\'s own plots', async () => {
+  const { body: { plot } } = await app.request('POST', '/api/farmers/me/plots', { token, body: { name: 'North field', crop: 'banana' } });
+  const neighbour = await app.signIn('9123456780', { name: 'Suma' });
+  const { body: { plot: neighbourPlot } } = await app.request('POST', '/api/farmers/me/plots', { token: neighbour, body: { name: 'River field', crop: 'rice' } });
+  const values = { ph: 6.5, nitrogen: 300 };
+  const before = app.readCollection('soilTests').length;
+
+  const theirs = await app.request('POST', '/api/farmers/me/soil-tests', { token, body: { plotId: neighbourPlot.id, values } });
+  const queried = await app.request('POST', `/api/farmers/me/soil-tests?plotId=${neighbourPlot.id}`, { token, body: { values } });
+  const csvRow = await app.request('POST', '/api/farmers/me/soil-tests', {
+    token,
+    body: { csv: `Plot ID,pH,Nitrogen\n${plot.id},6.5,300\nno-such-plot,6.2,280\n` }
+  });
+  const own = await app.request('POST', '/api/farmers/me/soil-tests', { token, body: { plotId: plot.id, values } });
+
+  assert.equal(theirs.status, 404);
+  assert.equal(queried.status, 404);
+  assert.equal(csvRow.status, 404);
+  assert.equal(csvRow.body.plotId, 'no-such-plot');
+  assert.equal(own.status, 201);
+  assert.equal(own.body.soilTests[0].plotId, plot.id);
+  assert.equal(app.readCollection('soilTests').length, before + 1);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scratchDir, bootApp, startApp } = require('./support');
+
+const readJson = (dir, collection) => JSON.parse(fs.readFileSync(path.join(dir, 'data', `${collection}.json`), 'utf8'));
+
+function writeLegacyData(dir) {
+  const dataDir = path.join(dir, 'data');
+  fs.mkdirSync(dataDir);
+  const write = (collection, records) => fs.writeFileSync(path.join(dataDir, `${collection}.json`), JSON.stringify(records));
+  write('farmers', [{ id: 1, location: 'Thrissur', crops: ['banana', 'rice'] }]);
+  write('queries', [{ id: 10, farmerId: 1, queryText: 'banana leaf spot' }]);
+  write('escalations', [{ id: 20, farmerId: 1, createdAt: '2024-06-01T10:00:00.000Z' }]);
+  write('feedback', [{ id: 30, queryId: '10', rating: 5 }]);
+}
+
+test('migrates collections written before storage was versioned', () => {
+  const dir = scratchDir();
+  writeLegacyData(dir);
+
+  const { status, stdout } = bootApp(dir);
+
+  assert.equal(status, 0);
+  assert.match(stdout, /Applying storage migration 1:/);
+  const meta = readJson(dir, '_meta');
+  assert.equal(meta.find(m => m.key === 'schemaVersion').value, 15);
+
+  const [farmer] = readJson(dir, 'farmers');
+  assert.deepEqual(farmer.crops.map(c => c.crop), ['banana', 'rice']);
+  assert.equal(farmer.preferredLanguage, null);
+  assert.deepEqual(farmer.notificationPreferences, { enabled: true, mutedTypes: [] });
+  assert.equal(farmer.farmingPractice, 'conventional');
+  assert.equal(readJson(dir, 'queries')[0].queryText, 'banana leaf spot');
+
+  const [escalation] = readJson(dir, 'escalations');
+  assert.equal(escalation.status, 'open');
+  assert.deepEqual(escalation.history, [{ status: 'open', by: 'system', at: '2024-06-01T10:00:00.000Z' }]);
+
+  // Feedback saved under a string id is relinked to its query
+  assert.equal(readJson(dir, 'feedback')[0].queryId, 10);
+  assert.equal(readJson(dir, 'queries')[0].feedback.rating, 5);
+
+  ['sessions', 'outbreaks', 'plots', 'channelMessages', 'calls'].forEach(collection => {
+    assert.deepEqual(readJson(dir, collection), [], `${collection} is created`);
+  });
+});
+
+test('does not apply migrations twice', () => {
+  const dir = scratchDir();
+  writeLegacyData(dir);
+  bootApp(dir);
+  const farmers = readJson(dir, 'farmers');
+
+  const { stdout } = bootApp(dir);
+
+  assert.doesNotMatch(stdout, /Applying storage migration/);
+  assert.deepEqual(readJson(dir, 'farmers'), farmers);
+});
+
+test('memory adapter writes nothing to disk', () => {
+  const dir = scratchDir();
+
+  bootApp(dir, { STORAGE_ADAPTER: 'memory' });
+
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'data')), []);
+});
+
+test('refuses to start with an unknown adapter', () => {
+  const dir = scratchDir();
+
+  const { status, stderr } = bootApp(dir, { STORAGE_ADAPTER: 'postgres' });
+
+  assert.notEqual(status, 0);
+  assert.match(stderr, /Unknown storage adapter: postgres/);
+});
+
+test('writes through to the data directory as records are saved', async t => {
+  const app = await startApp();
+  t.after(() => app.close());
+  const token = await app.signIn('9876543210');
+
+  const query = await app.request('POST', '/api/query', { token, body: { queryText: 'fertilizer for rice' } });
+
+  const { status } = await app.request('POST', '/api/feedback', { token, body: { queryId: query.body.queryId, rating: 4 } });
+
+  assert.equal(status, 200);
+  assert.deepEqual(app.readCollection('feedback').map(entry => entry.rating), [4]);
+});
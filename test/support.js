@@ -0,0 +1,126 @@
+/**
+ * Starts the app for a test file: in a scratch directory, with the fixture
+ * speech, TTS, image and weather providers, so no models, binaries or network
+ * are needed. Each test file runs in its own process, so each gets its own app.
+ */
+const { mock } = require('node:test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const adminToken = 'test-admin-token';
+
+const fixtureEnv = {
+  KNOWLEDGE_DIR: path.join(root, 'knowledge'),
+  STORAGE_ADAPTER: 'file',
+  SPEECH_PROVIDER: 'fixture',
+  TTS_PROVIDER: 'fixture',
+  IMAGE_CLASSIFIER: 'fixture',
+  WEATHER_PROVIDER: 'fixture',
+  SMS_PROVIDER: 'stub',
+  ADVISORY_INTERVAL_MINUTES: '0',
+  LEARNING_INTERVAL_HOURS: '0',
+  ADMIN_TOKEN: adminToken
+};
+
+// Scratch directories are removed when the test process exits
+const scratchDirs = [];
+process.on('exit', () => scratchDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function scratchDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'krishi-mitra-test-'));
+  scratchDirs.push(dir);
+  return dir;
+}
+
+// Loads the app in a child process, which runs the storage migrations and sets
+// up the providers; nothing listens, so it exits once startup is done
+function bootApp(dir, env = {}) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(root, 'front.js'))})`], {
+    cwd: dir,
+    env: { ...process.env, ...fixtureEnv, ...env },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return { status, stdout, stderr };
+}
+
+// 02:00 on 20 October in India, when the UTC day is still the 19th: the hours
+// in which a UTC day in place of the local one shows
+const smallHoursIst = '2026-10-19T20:30:00.000Z';
+
+// The YYYY-MM-DD day `days` after `day`, worked out on the date alone so that
+// no time zone comes into the expected value
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Stops Date at `at` for the rest of the test file. The app runs in the same
+// process, so it sees the same clock; advance() moves both on.
+function freezeClock(at) {
+  mock.timers.reset();
+  mock.timers.enable({ apis: ['Date'], now: new Date(at) });
+  return { advance: ms => mock.timers.tick(ms) };
+}
+
+async function startApp(env = {}) {
+  const dir = scratchDir();
+  process.chdir(dir);
+  Object.assign(process.env, fixtureEnv, env);
+  const app = require('../front.js');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // body may be an object (sent as JSON) or a string sent as-is, for
+  // requests whose exact bytes are signed
+  async function request(method, url, { body, headers = {}, token, admin = false } = {}) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(admin ? { 'x-admin-token': adminToken } : {}),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      data = text;
+    }
+    return { status: response.status, body: data };
+  }
+
+  const readCollection = collection => {
+    const file = path.join(dir, 'data', `${collection}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  };
+
+  // Registers (or logs in) a farmer, reading the code from the stub SMS outbox
+  async function signIn(phone, profile = {}) {
+    const registered = await request('POST', '/api/auth/register', { body: { phone } });
+    if (registered.status >= 400) await request('POST', '/api/auth/login', { body: { phone } });
+    const message = readCollection('smsOutbox').filter(sms => sms.phone.endsWith(phone.slice(-10))).pop();
+    const otp = message.message.match(/\d{6}/)[0];
+    const verified = await request('POST', '/api/auth/verify', { body: { phone, otp, ...profile } });
+    return verified.body.token;
+  }
+
+  function close() {
+    server.close();
+    process.chdir(root);
+  }
+
+  return { dir, baseUrl, request, readCollection, signIn, close };
+}
+
+module.exports = { root, fixtureEnv, scratchDir, bootApp, smallHoursIst, addDays, freezeClock, startApp };
@@ -0,0 +1,26 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scratchDir, startApp } = require('./support');
+
+let app;
+
+before(async () => {
+  // Stands in for espeak; it lingers after writing so two requests overlap
+  const espeak = path.join(scratchDir(), 'espeak');
+  fs.writeFileSync(espeak, '#!/bin/sh\ncat > /dev/null\nprintf RIFF > "$6"\nsleep 0.3\n', { mode: 0o755 });
+  app = await startApp({ TTS_PROVIDER: 'espeak', ESPEAK_BIN: espeak });
+});
+
+after(() => app.close());
+
+test('synthesises concurrent requests for the same text', async () => {
+  const speak = () => app.request('POST', '/api/tts', { admin: true, body: { text: 'Spray in the evening', language: 'en' } });
+
+  const replies = await Promise.all([speak(), speak()]);
+
+  assert.deepEqual(replies.map(reply => reply.status), [200, 200]);
+  assert.equal(replies[0].body.audioUrl, replies[1].body.audioUrl);
+  assert.deepEqual(fs.readdirSync(path.join(app.dir, 'audio')), [path.basename(replies[0].body.audioUrl)]);
+});